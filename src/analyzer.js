@@ -0,0 +1,114 @@
+/**
+ * Data computed from loaded images, so front ends can reserve space and show placeholders
+ */
+
+/**
+ * Size of the canvas image is scaled to before its pixels are read
+ *
+ * @type {number}
+ */
+const SAMPLE_SIZE = 16;
+
+/**
+ * Max side of the placeholder thumbnail, browser blurs it when it is scaled up
+ *
+ * @type {number}
+ */
+const PLACEHOLDER_SIZE = 16;
+
+/**
+ * Width files are decoded with before they are analyzed: a few times the sample size,
+ * so colours of small details are kept and full resolution pixels are never held in memory
+ *
+ * @type {number}
+ */
+export const DECODE_WIDTH = 64;
+
+/**
+ * Get average colour of the image
+ *
+ * @param {ImageBitmap|HTMLImageElement|HTMLVideoElement|HTMLCanvasElement} image - decoded or loaded image, video or its frame
+ * @returns {string|null} - hex colour like #aabbcc, null if image pixels can not be read
+ */
+export function averageColor(image) {
+  const pixels = readPixels(image, SAMPLE_SIZE, SAMPLE_SIZE);
+
+  if (!pixels) {
+    return null;
+  }
+
+  const sum = [0, 0, 0];
+  let weight = 0;
+
+  for (let i = 0; i < pixels.length; i += 4) {
+    /**
+     * Transparent pixels do not affect the colour
+     */
+    const alpha = pixels[i + 3] / 255;
+
+    sum[0] += pixels[i] * alpha;
+    sum[1] += pixels[i + 1] * alpha;
+    sum[2] += pixels[i + 2] * alpha;
+    weight += alpha;
+  }
+
+  if (!weight) {
+    return null;
+  }
+
+  return '#' + sum.map(value => Math.round(value / weight).toString(16)
+    .padStart(2, '0')).join('');
+}
+
+/**
+ * Draw image on canvas with passed size and read its pixels
+ *
+ * @param {HTMLImageElement|HTMLVideoElement} image - loaded image or video
+ * @param {number} width - canvas width
+ * @param {number} height - canvas height
+ * @returns {Uint8ClampedArray|null} - RGBA values, null if image is cross-origin one
+ */
+function readPixels(image, width, height) {
+  const canvas = document.createElement('canvas');
+  const context = canvas.getContext('2d');
+
+  canvas.width = width;
+  canvas.height = height;
+
+  try {
+    context.drawImage(image, 0, 0, width, height);
+
+    return context.getImageData(0, 0, width, height).data;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get tiny thumbnail of the image to show while the image is loading
+ *
+ * @param {ImageBitmap|HTMLImageElement|HTMLVideoElement|HTMLCanvasElement} image - decoded or loaded image, video or its frame
+ * @returns {string|null} - PNG data URL, null if image pixels can not be read
+ */
+export function createPlaceholder(image) {
+  const width = image.naturalWidth || image.videoWidth || image.width;
+  const height = image.naturalHeight || image.videoHeight || image.height;
+
+  if (!width || !height) {
+    return null;
+  }
+
+  const scale = PLACEHOLDER_SIZE / Math.max(width, height);
+  const canvas = document.createElement('canvas');
+
+  canvas.width = Math.max(1, Math.round(width * scale));
+  canvas.height = Math.max(1, Math.round(height * scale));
+
+  try {
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    return canvas.toDataURL('image/png');
+  } catch (error) {
+    return null;
+  }
+}
@@ -0,0 +1,118 @@
+/**
+ * Conversion between Image List data, single Image blocks and other Blocks
+ */
+
+/**
+ * @typedef {object} ImageToolData
+ * @description Data of the single Image block, {@link https://github.com/editor-js/image}
+ * @property {object} file - uploaded file data with the url property
+ * @property {string} caption - image caption
+ * @property {boolean} withBorder - should image have a border
+ * @property {boolean} withBackground - should image have a background
+ * @property {boolean} stretched - should image be stretched to full width of container
+ */
+
+/**
+ * Settings shared by single images and list items
+ *
+ * @type {string[]}
+ */
+const IMAGE_TUNES = ['withBorder', 'withBackground', 'stretched'];
+
+/**
+ * Make list item from the single Image block data
+ *
+ * @param {ImageToolData} data - single image data
+ * @returns {ImageListItem}
+ */
+export function fromImage(data) {
+  const item = {
+    file: Object.assign({}, data.file),
+    caption: data.caption || '',
+  };
+
+  IMAGE_TUNES.forEach((tune) => {
+    item[tune] = !!data[tune];
+  });
+
+  return item;
+}
+
+/**
+ * Make single Image block data from the list item
+ *
+ * @param {ImageListItem} item - list item
+ * @returns {ImageToolData}
+ */
+export function toImage(item) {
+  const data = {
+    file: Object.assign({}, item.file),
+    caption: item.caption || '',
+  };
+
+  IMAGE_TUNES.forEach((tune) => {
+    data[tune] = !!item[tune];
+  });
+
+  return data;
+}
+
+/**
+ * Export items to the string other Blocks are created from:
+ * every item is a line with its file URL and caption
+ *
+ * @param {ImageListItem[]} items - list items
+ * @returns {string}
+ */
+export function exportItems(items) {
+  return items
+    .map(item => `${item.file && item.file.url ? item.file.url : ''} ${(item.caption || '').replace(/\s*\n\s*/g, ' ')}`.trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Import items from the string exported by other Blocks.
+ * Lines that don't start with an http(s) URL become items without file,
+ * so text of converted Blocks is kept as captions
+ *
+ * @param {string} string - exported string, sanitized by Editor.js
+ * @returns {ImageListItem[]}
+ */
+export function importItems(string) {
+  return string
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const [, url, caption] = line.match(/^(https?:\/\/\S+)\s*(.*)$/) || [null, '', line];
+
+      return {
+        // Sanitizer encodes ampersands of the string
+        file: { url: url.replace(/&amp;/g, '&') },
+        caption,
+      };
+    });
+}
+
+/**
+ * Conversion config of the single Image tool that has no own one,
+ * so it can be converted to and from the list with captions
+ *
+ * @returns {{export: function(ImageToolData): string, import: function(string): ImageToolData}}
+ */
+export function imageConversionConfig() {
+  return {
+    export: data => exportItems([ fromImage(data) ]),
+    import: (string) => {
+      const items = importItems(string);
+      const item = items.find(({ file }) => file.url);
+
+      // Text without URL becomes a caption of the image to upload
+      return toImage(item || {
+        file: { url: '' },
+        caption: items.map(({ caption }) => caption).join(' '),
+      });
+    },
+  };
+}
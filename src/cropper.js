@@ -0,0 +1,662 @@
+import { make } from './ui';
+import { encode } from './resizer';
+
+/**
+ * @typedef {object} ImageTransform
+ * @description Image edits applied in order: rotation, flip of the rotated image, crop of the result
+ * @property {number} rotate - clockwise rotation: 0, 90, 180 or 270 degrees
+ * @property {boolean} flipX - mirror horizontally
+ * @property {boolean} flipY - mirror vertically
+ * @property {{x: number, y: number, width: number, height: number}} crop - visible area from 0 to 1
+ */
+
+/**
+ * Crop that keeps the whole image
+ *
+ * @type {{x: number, y: number, width: number, height: number}}
+ */
+const FULL_CROP = {
+  x: 0,
+  y: 0,
+  width: 1,
+  height: 1,
+};
+
+/**
+ * Min side of the crop area, from 0 to 1
+ *
+ * @type {number}
+ */
+const MIN_CROP = 0.05;
+
+/**
+ * Max side of the image shown in the editing modal
+ *
+ * @type {number}
+ */
+const STAGE_SIZE = 1200;
+
+/**
+ * Crop handles: which sides of the area they move
+ *
+ * @type {object<string, {left: boolean, top: boolean}>}
+ */
+const HANDLES = {
+  nw: {
+    left: true,
+    top: true,
+  },
+  ne: {
+    left: false,
+    top: true,
+  },
+  sw: {
+    left: true,
+    top: false,
+  },
+  se: {
+    left: false,
+    top: false,
+  },
+};
+
+/**
+ * Types edited images are encoded to, JPEG for the rest
+ *
+ * @type {object<string, string>}
+ */
+const OUTPUT_TYPES = {
+  png: 'image/png',
+  webp: 'image/webp',
+};
+
+/**
+ * Draw image with the transform applied
+ *
+ * @param {HTMLImageElement} image - loaded image
+ * @param {ImageTransform} transform - edits to apply
+ * @param {number} [maxSize] - max side of the result, full size if not passed
+ * @returns {HTMLCanvasElement}
+ */
+export function drawTransformed(image, transform, maxSize) {
+  const width = image.naturalWidth || image.width;
+  const height = image.naturalHeight || image.height;
+  const rotate = transform.rotate || 0;
+  const crop = transform.crop || FULL_CROP;
+
+  /**
+   * Size of the rotated image
+   */
+  const rotatedWidth = rotate % 180 ? height : width;
+  const rotatedHeight = rotate % 180 ? width : height;
+
+  const cropWidth = crop.width * rotatedWidth;
+  const cropHeight = crop.height * rotatedHeight;
+  const scale = maxSize ? Math.min(1, maxSize / Math.max(cropWidth, cropHeight)) : 1;
+  const canvas = document.createElement('canvas');
+  const context = canvas.getContext('2d');
+
+  canvas.width = Math.max(1, Math.round(cropWidth * scale));
+  canvas.height = Math.max(1, Math.round(cropHeight * scale));
+
+  context.scale(scale, scale);
+  context.translate(-crop.x * rotatedWidth, -crop.y * rotatedHeight);
+  context.translate(rotatedWidth / 2, rotatedHeight / 2);
+  context.scale(transform.flipX ? -1 : 1, transform.flipY ? -1 : 1);
+  context.rotate(rotate * Math.PI / 180);
+  context.drawImage(image, -width / 2, -height / 2, width, height);
+
+  return canvas;
+}
+
+/**
+ * Check if transform does not change the image
+ *
+ * @param {ImageTransform} transform - image edits
+ * @returns {boolean}
+ */
+export function isIdentity(transform) {
+  const crop = transform.crop || FULL_CROP;
+
+  return !transform.rotate && !transform.flipX && !transform.flipY &&
+    crop.x === 0 && crop.y === 0 && crop.width === 1 && crop.height === 1;
+}
+
+/**
+ * Apply transform to the full size image and encode the result
+ *
+ * @param {HTMLImageElement} image - image loaded with CORS
+ * @param {ImageTransform} transform - edits to apply
+ * @param {string} url - image URL the file name and type are taken from
+ * @returns {Promise.<File>}
+ */
+export function transformedFile(image, transform, url) {
+  const name = decodeURIComponent(url.split(/[?#]/)[0].split('/').pop()) || 'image.jpg';
+  const extension = (name.match(/\.([^.]+)$/) || [])[1];
+  const type = OUTPUT_TYPES[(extension || '').toLowerCase()] || 'image/jpeg';
+
+  /**
+   * Canvas with image from other origin throws on encoding, so errors get to the promise
+   */
+  return Promise.resolve()
+    .then(() => {
+      const canvas = drawTransformed(image, transform);
+
+      return encode(canvas, canvas.width, canvas.height, type, 0.92);
+    })
+    .then((blob) => new File([ blob ], name, { type: blob.type }));
+}
+
+/**
+ * Load image to be edited
+ *
+ * @param {string} url - image URL
+ * @param {boolean} readable - true if image pixels will be read, so it must be loaded with CORS
+ * @returns {Promise.<HTMLImageElement>}
+ */
+export function loadImage(url, readable) {
+  const load = (crossOrigin) => new Promise((resolve, reject) => {
+    const image = document.createElement('img');
+
+    if (crossOrigin) {
+      image.crossOrigin = 'anonymous';
+    }
+
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('Can not load image'));
+    image.src = url;
+  });
+
+  /**
+   * Image can be shown without CORS if the server does not allow it
+   */
+  return load(true).catch((error) => {
+    if (readable) {
+      throw error;
+    }
+
+    return load(false);
+  });
+}
+
+/**
+ * Modal with crop, rotation and flip of one image
+ */
+export default class Cropper {
+  /**
+   * @param {object} params - cropper params
+   * @param {object} params.api - Editor API
+   */
+  constructor({ api }) {
+    this.api = api;
+
+    this.image = null;
+    this.state = null;
+    this.ratio = null;
+    this.resolve = null;
+
+    /**
+     * Crop area being dragged
+     *
+     * @type {{handle: string|null, startX: number, startY: number, crop: object}|null}
+     */
+    this.drag = null;
+
+    this.nodes = {
+      wrapper: make('div', this.CSS.wrapper),
+      stage: make('div', this.CSS.stage),
+      canvas: make('canvas', this.CSS.canvas),
+      area: make('div', this.CSS.area),
+      toolbar: make('div', this.CSS.toolbar),
+      ratios: make('div', this.CSS.group),
+      applyButton: make('div', [this.CSS.button, this.CSS.buttonPrimary], {
+        textContent: this.api.i18n.t('Apply'),
+      }),
+      cancelButton: make('div', this.CSS.button, {
+        textContent: this.api.i18n.t('Cancel'),
+      }),
+    };
+
+    Object.keys(HANDLES).forEach((name) => {
+      const handle = make('div', [this.CSS.handle, `${this.CSS.handle}--${name}`]);
+
+      handle.dataset.handle = name;
+      this.nodes.area.appendChild(handle);
+    });
+
+    this.nodes.ratioButtons = Cropper.ratios.map(({ title, value }) => {
+      const button = make('div', this.CSS.button, {
+        textContent: this.api.i18n.t(title),
+      });
+
+      button.addEventListener('click', () => this.setRatio(value));
+      this.nodes.ratios.appendChild(button);
+
+      return button;
+    });
+
+    const actions = make('div', this.CSS.group);
+
+    [
+      ['Rotate left', () => this.rotate(-1)],
+      ['Rotate right', () => this.rotate(1)],
+      ['Flip horizontally', () => this.flip('flipX')],
+      ['Flip vertically', () => this.flip('flipY')],
+      ['Reset', () => this.reset()],
+    ].forEach(([title, action]) => {
+      const button = make('div', this.CSS.button, {
+        textContent: this.api.i18n.t(title),
+      });
+
+      button.addEventListener('click', action);
+      actions.appendChild(button);
+    });
+
+    const confirm = make('div', this.CSS.group);
+
+    confirm.appendChild(this.nodes.cancelButton);
+    confirm.appendChild(this.nodes.applyButton);
+
+    this.nodes.toolbar.appendChild(this.nodes.ratios);
+    this.nodes.toolbar.appendChild(actions);
+    this.nodes.toolbar.appendChild(confirm);
+    this.nodes.stage.appendChild(this.nodes.canvas);
+    this.nodes.stage.appendChild(this.nodes.area);
+    this.nodes.wrapper.appendChild(this.nodes.stage);
+    this.nodes.wrapper.appendChild(this.nodes.toolbar);
+
+    this.nodes.applyButton.addEventListener('click', () => this.close(this.result()));
+    this.nodes.cancelButton.addEventListener('click', () => this.close(null));
+    this.nodes.area.addEventListener('pointerdown', (event) => this.startDrag(event));
+
+    this.onKeyDown = this.onKeyDown.bind(this);
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+  }
+
+  /**
+   * Aspect ratio presets of the crop area
+   *
+   * @returns {{title: string, value: number|null}[]}
+   */
+  static get ratios() {
+    return [
+      {
+        title: 'Free',
+        value: null,
+      },
+      {
+        title: '1:1',
+        value: 1,
+      },
+      {
+        title: '4:3',
+        value: 4 / 3,
+      },
+      {
+        title: '3:2',
+        value: 3 / 2,
+      },
+      {
+        title: '16:9',
+        value: 16 / 9,
+      },
+    ];
+  }
+
+  /**
+   * Styles
+   *
+   * @returns {object}
+   */
+  get CSS() {
+    return {
+      wrapper: 'image-list-cropper',
+      stage: 'image-list-cropper__stage',
+      canvas: 'image-list-cropper__canvas',
+      area: 'image-list-cropper__area',
+      handle: 'image-list-cropper__handle',
+      toolbar: 'image-list-cropper__toolbar',
+      group: 'image-list-cropper__group',
+      button: 'image-list-cropper__button',
+      buttonPrimary: 'image-list-cropper__button--primary',
+      buttonActive: 'image-list-cropper__button--active',
+    };
+  }
+
+  /**
+   * Show modal with the image
+   *
+   * @param {HTMLImageElement} image - loaded image
+   * @param {ImageTransform} [transform] - current image edits
+   * @returns {Promise.<ImageTransform|null>} - edits to apply, null if editing is cancelled
+   */
+  open(image, transform) {
+    if (this.resolve) {
+      this.close(null);
+    }
+
+    this.image = image;
+    this.state = {
+      rotate: 0,
+      flipX: false,
+      flipY: false,
+      crop: Object.assign({}, FULL_CROP),
+    };
+
+    if (transform) {
+      Object.assign(this.state, transform, {
+        crop: Object.assign({}, transform.crop || FULL_CROP),
+      });
+    }
+
+    this.ratio = null;
+    this.updateRatioButtons();
+    this.draw();
+
+    document.body.appendChild(this.nodes.wrapper);
+    document.addEventListener('keydown', this.onKeyDown);
+
+    return new Promise((resolve) => {
+      this.resolve = resolve;
+    });
+  }
+
+  /**
+   * Hide modal
+   *
+   * @param {ImageTransform|null} result - edits to apply, null to cancel editing
+   * @returns {void}
+   */
+  close(result) {
+    this.nodes.wrapper.remove();
+    document.removeEventListener('keydown', this.onKeyDown);
+    this.onPointerUp();
+
+    if (this.resolve) {
+      this.resolve(result);
+      this.resolve = null;
+    }
+  }
+
+  /**
+   * Get edits to apply
+   *
+   * @returns {ImageTransform}
+   */
+  result() {
+    const round = (value) => Math.round(value * 10000) / 10000;
+    const { x, y, width, height } = this.state.crop;
+
+    return {
+      rotate: this.state.rotate,
+      flipX: this.state.flipX,
+      flipY: this.state.flipY,
+      crop: {
+        x: round(x),
+        y: round(y),
+        width: round(width),
+        height: round(height),
+      },
+    };
+  }
+
+  /**
+   * Draw rotated and flipped image, and the crop area over it
+   *
+   * @returns {void}
+   */
+  draw() {
+    const canvas = drawTransformed(this.image, {
+      rotate: this.state.rotate,
+      flipX: this.state.flipX,
+      flipY: this.state.flipY,
+    }, STAGE_SIZE);
+
+    canvas.classList.add(this.CSS.canvas);
+    this.nodes.canvas.replaceWith(canvas);
+    this.nodes.canvas = canvas;
+    this.drawArea();
+  }
+
+  /**
+   * Position crop area over the image
+   *
+   * @returns {void}
+   */
+  drawArea() {
+    const { x, y, width, height } = this.state.crop;
+
+    Object.assign(this.nodes.area.style, {
+      left: `${x * 100}%`,
+      top: `${y * 100}%`,
+      width: `${width * 100}%`,
+      height: `${height * 100}%`,
+    });
+  }
+
+  /**
+   * Ratio of the crop area sides in the 0-1 coordinates, that gives passed ratio in pixels
+   *
+   * @param {number} ratio - width to height ratio in pixels
+   * @returns {number}
+   */
+  relativeRatio(ratio) {
+    return ratio * this.nodes.canvas.height / this.nodes.canvas.width;
+  }
+
+  /**
+   * Choose aspect ratio of the crop area: the largest centered area of this ratio is selected
+   *
+   * @param {number|null} ratio - width to height ratio, null for free cropping
+   * @returns {void}
+   */
+  setRatio(ratio) {
+    this.ratio = ratio;
+    this.updateRatioButtons();
+
+    if (!ratio) {
+      return;
+    }
+
+    const relative = this.relativeRatio(ratio);
+    const width = relative >= 1 ? 1 : relative;
+    const height = relative >= 1 ? 1 / relative : 1;
+
+    this.state.crop = {
+      x: (1 - width) / 2,
+      y: (1 - height) / 2,
+      width,
+      height,
+    };
+    this.drawArea();
+  }
+
+  /**
+   * Highlight chosen ratio
+   *
+   * @returns {void}
+   */
+  updateRatioButtons() {
+    Cropper.ratios.forEach(({ value }, index) => {
+      this.nodes.ratioButtons[index].classList.toggle(this.CSS.buttonActive, value === this.ratio);
+    });
+  }
+
+  /**
+   * Rotate image by 90 degrees, crop area is rotated with it
+   *
+   * @param {number} direction - 1 for clockwise, -1 for counterclockwise
+   * @returns {void}
+   */
+  rotate(direction) {
+    const { x, y, width, height } = this.state.crop;
+
+    /**
+     * Flip is applied after rotation, so mirrored image is rotated the other way
+     */
+    const angle = this.state.flipX !== this.state.flipY ? -direction * 90 : direction * 90;
+
+    this.state.rotate = (this.state.rotate + angle + 360) % 360;
+    this.state.crop = direction > 0 ? {
+      x: 1 - y - height,
+      y: x,
+      width: height,
+      height: width,
+    } : {
+      x: y,
+      y: 1 - x - width,
+      width: height,
+      height: width,
+    };
+    this.draw();
+
+    if (this.ratio) {
+      this.setRatio(this.ratio);
+    }
+  }
+
+  /**
+   * Mirror image, crop area is mirrored with it
+   *
+   * @param {string} axis - flipX or flipY
+   * @returns {void}
+   */
+  flip(axis) {
+    const crop = this.state.crop;
+
+    this.state[axis] = !this.state[axis];
+
+    if (axis === 'flipX') {
+      crop.x = 1 - crop.x - crop.width;
+    } else {
+      crop.y = 1 - crop.y - crop.height;
+    }
+
+    this.draw();
+  }
+
+  /**
+   * Drop all edits
+   *
+   * @returns {void}
+   */
+  reset() {
+    this.state = {
+      rotate: 0,
+      flipX: false,
+      flipY: false,
+      crop: Object.assign({}, FULL_CROP),
+    };
+    this.ratio = null;
+    this.updateRatioButtons();
+    this.draw();
+  }
+
+  /**
+   * Start moving crop area or its corner
+   *
+   * @param {PointerEvent} event - pointerdown event
+   * @returns {void}
+   */
+  startDrag(event) {
+    event.preventDefault();
+
+    this.drag = {
+      handle: event.target.dataset.handle || null,
+      startX: event.clientX,
+      startY: event.clientY,
+      crop: Object.assign({}, this.state.crop),
+    };
+
+    document.addEventListener('pointermove', this.onPointerMove);
+    document.addEventListener('pointerup', this.onPointerUp);
+  }
+
+  /**
+   * Move crop area or resize it with the dragged corner
+   *
+   * @param {PointerEvent} event - pointermove event
+   * @returns {void}
+   */
+  onPointerMove(event) {
+    const rect = this.nodes.canvas.getBoundingClientRect();
+    const { handle, crop } = this.drag;
+    const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+    if (!handle) {
+      this.state.crop = Object.assign({}, crop, {
+        x: clamp(crop.x + (event.clientX - this.drag.startX) / rect.width, 0, 1 - crop.width),
+        y: clamp(crop.y + (event.clientY - this.drag.startY) / rect.height, 0, 1 - crop.height),
+      });
+      this.drawArea();
+
+      return;
+    }
+
+    const { left, top } = HANDLES[handle];
+
+    /**
+     * Opposite corner stays in place
+     */
+    const anchorX = left ? crop.x + crop.width : crop.x;
+    const anchorY = top ? crop.y + crop.height : crop.y;
+    const pointerX = clamp((event.clientX - rect.left) / rect.width, 0, 1);
+    const pointerY = clamp((event.clientY - rect.top) / rect.height, 0, 1);
+    const maxWidth = left ? anchorX : 1 - anchorX;
+    const maxHeight = top ? anchorY : 1 - anchorY;
+    let width = clamp(left ? anchorX - pointerX : pointerX - anchorX, MIN_CROP, maxWidth);
+    let height = clamp(top ? anchorY - pointerY : pointerY - anchorY, MIN_CROP, maxHeight);
+
+    if (this.ratio) {
+      const relative = this.relativeRatio(this.ratio);
+
+      height = width / relative;
+
+      if (height > maxHeight) {
+        height = maxHeight;
+        width = height * relative;
+      }
+    }
+
+    this.state.crop = {
+      x: left ? anchorX - width : anchorX,
+      y: top ? anchorY - height : anchorY,
+      width,
+      height,
+    };
+    this.drawArea();
+  }
+
+  /**
+   * Stop dragging
+   *
+   * @returns {void}
+   */
+  onPointerUp() {
+    this.drag = null;
+    document.removeEventListener('pointermove', this.onPointerMove);
+    document.removeEventListener('pointerup', this.onPointerUp);
+  }
+
+  /**
+   * Keyboard shortcuts
+   *
+   * @param {KeyboardEvent} event - keydown event
+   * @returns {void}
+   */
+  onKeyDown(event) {
+    switch (event.key) {
+      case 'Enter':
+        this.close(this.result());
+        break;
+      case 'Escape':
+        this.close(null);
+        break;
+      default:
+        return;
+    }
+
+    event.preventDefault();
+  }
+}
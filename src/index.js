@@ -1,16 +1,23 @@
 /**
- * Image Tool for the Editor.js
+ * Image List Tool for the Editor.js: a list of images and videos with captions,
+ * convertible to and from single Image Tool Blocks
  *
  * @author CodeX <team@codex.so>
  * @license MIT
  * @see {@link https://github.com/editor-js/image}
  *
  * To developers.
- * To simplify Tool structure, we split it to 4 parts:
+ * To simplify Tool structure, we split it to several parts:
  *  1) index.js — main Tool's interface, public API and methods for working with data
  *  2) uploader.js — module that has methods for sending files via AJAX: from device, by URL or File pasting
- *  3) ui.js — module for UI manipulations: render, showing preloader, etc
- *  4) tunes.js — working with Block Tunes: render buttons, handle clicks
+ *  3) ui.js — module for UI manipulations: render list, drop zone, sorting
+ *  4) item.js — one list item: preview, upload progress, its own settings, alt text, link and focal point
+ *  5) tunes.js — working with Block Tunes: render buttons, handle clicks
+ *  6) layouts.js — working with list layouts: render buttons, handle clicks
+ *  7) lightbox.js — full-screen viewer for read-only mode
+ *  8) validator.js, resizer.js, analyzer.js — checking, downscaling and measuring files before uploading
+ *  9) renditions.js, video.js, cropper.js, link.js — responsive images, videos, image editor and item links
+ *  10) converter.js — conversion to and from single Image Tool Blocks
  *
  * For debug purposes there is a testing server
  * that can save uploaded files and return a Response {@link UploadResponseFormat}
@@ -32,25 +39,65 @@
 
 /**
  * @typedef {object} ImageListToolData
- * @description Image Tool's input and output data format
+ * @description Image List Tool's input and output data format
  * @property {ImageListItem[]} items — image caption
+ * @property {boolean} withBorder - should list have a border
+ * @property {boolean} withBackground - should list have a background
+ * @property {boolean} stretched - should list be stretched to full width of container
+ * @property {string} layout - list layout: grid, carousel, masonry or column
  */
 
 /**
  * @typedef {object} ImageListItem
- * @description Image Tool's input and output data format
+ * @description One image or video of the list
  * @property {string} caption — image caption
+ * @property {string} alt — alternative text for readers who can't see the image
+ * @property {number} width — image width in pixels
+ * @property {number} height — image height in pixels
+ * @property {number} ratio — aspect ratio: width divided by height
+ * @property {string} color — average colour of the image, like #aabbcc
+ * @property {string} placeholder — tiny thumbnail data URL shown while the image is loading
+ * @property {string} type — 'image' or 'video', items without type are detected by file extension
+ * @property {object} poster — uploaded frame of the video shown before it is played
+ * @property {string} poster.url — poster URL
+ * @property {ImageTransform} transform — crop, rotation and flip to apply to the image
+ * @property {{x: number, y: number}} focalPoint — point from 0 to 1 on the shown image that must stay visible in cropped tiles
+ * @property {ItemLink} link — page the image leads to in read-only mode
  * @property {object} file — Image file data returned from backend
  * @property {string} file.url — image URL
+ * @property {boolean} withBorder - should image have a border
+ * @property {boolean} withBackground - should image have a background
+ * @property {boolean} stretched - should image be stretched to full width of list
  */
 
 // eslint-disable-next-line
 import css from './index.scss';
-import Ui from './ui';
+import Ui, { make } from './ui';
 import Tunes from './tunes';
+import Layouts from './layouts';
 import ToolboxIcon from './svg/toolbox.svg';
 import Uploader from './uploader';
 import Item from "./item";
+import { isVideo, isVideoFile } from './video';
+import { isSafeUrl, normalizeLink } from './link';
+import { REJECTIONS } from './validator';
+import { fromImage, toImage, exportItems, importItems, imageConversionConfig } from './converter';
+import mergeIcon from './svg/merge.svg';
+import splitIcon from './svg/split.svg';
+
+/**
+ * Tool that receives files of the current paste
+ *
+ * @type {{tool: ImageListTool, redundant: Element[]}|null}
+ */
+let pasteTarget = null;
+
+/**
+ * Tools of the rendered Blocks by their wrappers, so pasted files can be added to the existing list
+ *
+ * @type {WeakMap<Element, ImageListTool>}
+ */
+const tools = new WeakMap();
 
 /**
  * @typedef {object} ImageConfig
@@ -60,13 +107,31 @@ import Item from "./item";
  * @property {string} endpoints.byUrl - upload by URL
  * @property {string} field - field name for uploaded image
  * @property {string} types - available mime-types
+ * @property {number} maxFileSize - max size of uploaded file in bytes
+ * @property {number} minWidth - min width of uploaded image
+ * @property {number} minHeight - min height of uploaded image
+ * @property {number} maxItems - max number of images in the list
  * @property {string} captionPlaceholder - placeholder for Caption field
+ * @property {object} captionTags - sanitizer rules for tags allowed in captions, bold, italic and links by default
+ * @property {boolean} requireAlt - don't save the list while some image has no alternative text
  * @property {object} additionalRequestData - any data to send with requests
  * @property {object} additionalRequestHeaders - allows to pass custom headers with Request
  * @property {string} buttonContent - overrides for Select File button
+ * @property {string} layout - default list layout
+ * @property {string} imageTool - name of the single Image Tool in the Editor.js config, to merge and split Blocks
+ * @property {string[]} layouts - list layouts allowed to choose
+ * @property {number} columns - number of columns in grid and masonry layouts
+ * @property {boolean} lightbox - open clicked images in the full-screen viewer in read-only mode
+ * @property {string|boolean} imageEditor - 'transform' to save crop, rotation and flip to items, 'upload' to upload edited images
+ * @property {SrcsetConfig} srcset - where image renditions of different widths are stored in the uploaded file data
+ * @property {number} maxConcurrentUploads - how many files can be uploaded at the same time
+ * @property {number} maxWidth - images wider than that are downscaled before uploading
+ * @property {number} maxHeight - images higher than that are downscaled before uploading
+ * @property {number} quality - encoding quality from 0 to 1 for processed images
+ * @property {string} outputType - mime-type processed images are encoded to
  * @property {object} [uploader] - optional custom uploader
- * @property {function(File): Promise.<UploadResponseFormat>} [uploader.uploadByFile] - method that upload image by File
- * @property {function(string): Promise.<UploadResponseFormat>} [uploader.uploadByUrl] - method that upload image by URL
+ * @property {function(File, {onProgress: function(number), signal: AbortSignal}): Promise.<UploadResponseFormat>} [uploader.uploadByFile] - method that upload image by File
+ * @property {function(string, {signal: AbortSignal}): Promise.<UploadResponseFormat>} [uploader.uploadByUrl] - method that upload image by URL
  */
 
 /**
@@ -102,16 +167,73 @@ export default class ImageListTool {
         };
     }
 
+    /**
+     * Rules Editor.js cleans saved captions with, it adds rules of the enabled inline tools to them
+     *
+     * @see {@link https://editorjs.io/sanitizer}
+     * @returns {object}
+     */
+    static get sanitize() {
+        return {
+            items: {
+                caption: this.captionTags,
+            },
+        };
+    }
+
+    /**
+     * Convert other Blocks to the list and back: every item is a line with its URL and caption
+     *
+     * @see {@link https://editorjs.io/tools-api#conversionconfig}
+     * @returns {{export: function(ImageListToolData): string, import: function(string): ImageListToolData}}
+     */
+    static get conversionConfig() {
+        return {
+            export: (data) => exportItems(data.items || []),
+            import: (string) => ({
+                items: importItems(string),
+            }),
+        };
+    }
+
+    /**
+     * Conversion config for the single Image Tool, which has no own one
+     *
+     * @returns {{export: function(ImageToolData): string, import: function(string): ImageToolData}}
+     */
+    static get imageConversionConfig() {
+        return imageConversionConfig();
+    }
+
+    /**
+     * Tags allowed in captions by default: bold, italic and links to http(s) URLs
+     *
+     * @returns {object} - sanitizer rules
+     */
+    static get captionTags() {
+        return {
+            b: true,
+            i: true,
+            a: {
+                href: (value) => isSafeUrl(value),
+                target: '_blank',
+                rel: 'nofollow',
+            },
+        };
+    }
+
     /**
      * @param {object} tool - tool properties got from editor.js
      * @param {ImageListToolData} tool.data - previously saved data
      * @param {ImageConfig} tool.config - user config for Tool
      * @param {object} tool.api - Editor.js API
      * @param {boolean} tool.readOnly - read-only mode flag
+     * @param {object} tool.block - current Block API
      */
-    constructor({data, config, api, readOnly}) {
+    constructor({data, config, api, readOnly, block}) {
         this.api = api;
         this.readOnly = readOnly;
+        this.block = block;
 
         /**
          * Tool's initial config
@@ -121,26 +243,52 @@ export default class ImageListTool {
             additionalRequestData: config.additionalRequestData || {},
             additionalRequestHeaders: config.additionalRequestHeaders || {},
             field: config.field || 'image',
-            types: config.types || 'image/jpg',
+            types: config.types || 'image/*',
+            maxFileSize: config.maxFileSize,
+            minWidth: config.minWidth,
+            minHeight: config.minHeight,
+            maxItems: config.maxItems,
             captionPlaceholder: this.api.i18n.t(config.captionPlaceholder || 'Caption'),
+            captionTags: config.captionTags || this.constructor.captionTags,
+            requireAlt: config.requireAlt || false,
             buttonContent: config.buttonContent || '',
             uploader: config.uploader || undefined,
+            maxConcurrentUploads: config.maxConcurrentUploads || 3,
+            maxWidth: config.maxWidth,
+            maxHeight: config.maxHeight,
+            quality: config.quality,
+            outputType: config.outputType,
             actions: config.actions || [],
+            columns: config.columns || 3,
+            lightbox: config.lightbox || false,
+            srcset: config.srcset || null,
+            imageEditor: ['transform', 'upload'].includes(config.imageEditor) ? config.imageEditor : false,
+            imageTool: config.imageTool || 'image',
         };
 
+        /**
+         * Default layout should be one of the allowed
+         */
+        const layouts = Layouts.layouts.map(({ name }) => name);
+
+        this.config.layouts = (config.layouts || layouts).filter(name => layouts.includes(name));
+        this.config.layout = this.config.layouts.includes(config.layout) ? config.layout : this.config.layouts[0] || 'grid';
+
         /**
          * Module for file uploading
          */
         this.uploader = new Uploader({
             config: this.config,
-            onSelect: (file) => {
-                return new Item({
+            onSelect: (params) => {
+                return new Item(Object.assign({
                     ui: this.ui,
-                    file: file
-                })
+                    uploader: this.uploader,
+                }, params));
             },
-            onUpload: (response) => this.onUpload(response),
-            onError: (error) => this.uploadingFailed(error),
+            onUpload: (item, response) => this.onUpload(item, response),
+            onError: (item, error) => this.uploadingFailed(item, error),
+            onReject: (name, reason) => this.uploadingRejected(name, reason),
+            countItems: () => this.ui.nodes.listContainer.querySelectorAll(`.${this.ui.CSS.imageContainer}`).length,
         });
 
         /**
@@ -150,13 +298,16 @@ export default class ImageListTool {
             api,
             config: this.config,
             onSelectFile: () => {
-                this.uploader.uploadSelectedFile({
-                    onPreview: () => {},
-                });
+                this.uploader.uploadSelectedFile();
+            },
+            onDropFiles: (files, before) => {
+                this.uploader.uploadFiles(files, { before });
             },
             readOnly,
         });
 
+        tools.set(this.ui.nodes.wrapper, this);
+
         /**
          * Module for working with tunes
          */
@@ -166,6 +317,15 @@ export default class ImageListTool {
             onChange: (tuneName) => this.tuneToggled(tuneName),
         });
 
+        /**
+         * Module for working with layouts
+         */
+        this.layouts = new Layouts({
+            api,
+            layouts: this.config.layouts,
+            onChange: (layoutName) => this.setLayout(layoutName),
+        });
+
         /**
          * Set saved state
          */
@@ -183,18 +343,36 @@ export default class ImageListTool {
      * @returns {HTMLDivElement}
      */
     render() {
+        if (this._data.stretched) {
+            this.stretchBlock(true);
+        }
+
         return this.ui.render(this.data);
     }
 
     /**
-     * Validate data: check if Image exists
+     * Validate data: check if Images exist and have alternative text when it is required
      *
      * @param {ImageListToolData} savedData — data received after saving
      * @returns {boolean} false if saved data is not correct, otherwise true
      * @public
      */
     validate(savedData) {
-        return savedData.items && savedData.items.length > 0;
+        if (!savedData.items || !savedData.items.length) {
+            return false;
+        }
+
+        // Items converted from text have no image to describe yet
+        if (this.config.requireAlt && savedData.items.some(item => item.file && item.file.url && !item.alt)) {
+            this.api.notifier.show({
+                message: this.api.i18n.t('Add alternative text to every image'),
+                style: 'error',
+            });
+
+            return false;
+        }
+
+        return true;
     }
 
     /**
@@ -216,7 +394,7 @@ export default class ImageListTool {
             if (imageContainer.dataset.item) {
                 let caption = imageContainer.querySelector(`.${this.ui.CSS.caption}`);
                 let item = JSON.parse(imageContainer.dataset.item);
-                item.caption = caption.innerHTML;
+                item.caption = this.api.sanitizer.clean(caption.innerHTML, this.config.captionTags);
                 this._data.items.push(item);
             }
         }
@@ -224,15 +402,72 @@ export default class ImageListTool {
         return this.data;
     }
 
+    /**
+     * Fires when Block is removed: cancels its uploads in progress and removes document listeners
+     *
+     * @public
+     */
+    destroy() {
+        this.uploader.cancelAll();
+        this.ui.destroy();
+    }
+
     /**
      * Makes buttons with tunes: add background, add border, stretch image
+     * and buttons with allowed layouts
      *
      * @public
      *
      * @returns {Element}
      */
     renderSettings() {
-        // return this.tunes.render(this.data);
+        const wrapper = make('div');
+
+        wrapper.appendChild(this.tunes.render(this.data));
+
+        if (this.config.layouts.length > 1) {
+            wrapper.appendChild(this.layouts.render(this.data));
+        }
+
+        wrapper.appendChild(this.renderConversions());
+
+        return wrapper;
+    }
+
+    /**
+     * Makes buttons that merge adjacent Image Blocks into the list and split the list into them
+     *
+     * @returns {Element}
+     */
+    renderConversions() {
+        const wrapper = make('div');
+        const conversions = [
+            {
+                icon: mergeIcon,
+                title: 'Merge with adjacent images',
+                action: () => this.mergeImages(),
+            },
+            {
+                icon: splitIcon,
+                title: 'Split into separate images',
+                action: () => this.splitIntoImages(),
+            },
+        ];
+
+        conversions.forEach(({ icon, title, action }) => {
+            const el = make('div', [ this.api.styles.settingsButton ], {
+                innerHTML: icon,
+            });
+
+            el.addEventListener('click', action);
+            this.api.tooltip.onHover(el, this.api.i18n.t(title), {
+                placement: 'top',
+            });
+
+            wrapper.appendChild(el);
+        });
+
+        return wrapper;
     }
 
     /**
@@ -246,13 +481,34 @@ export default class ImageListTool {
     }
 
     /**
-     * Specify paste substitutes (disabled)
+     * Specify paste substitutes
      *
      * @see {@link https://github.com/codex-team/editor.js/blob/master/docs/tools.md#paste-handling}
      * @returns {{tags: string[], patterns: object<string, RegExp>, files: {extensions: string[], mimeTypes: string[]}}}
      */
     static get pasteConfig() {
-        return {};
+        return {
+            /**
+             * Paste HTML galleries: images and figures with captions
+             */
+            tags: [
+                {
+                    img: {
+                        src: true,
+                        alt: true,
+                    },
+                },
+                'figure',
+            ],
+
+            /**
+             * Paste image files from Clipboard or by drag-n-drop
+             */
+            files: {
+                mimeTypes: [ 'image/*' ],
+                extensions: ['gif', 'jpg', 'jpeg', 'png', 'webp', 'bmp', 'svg'],
+            },
+        };
     }
 
     /**
@@ -265,7 +521,18 @@ export default class ImageListTool {
      * @returns {void}
      */
     async onPaste(event) {
+        switch (event.type) {
+            case 'tag': {
+                this.pasteElement(event.detail.data);
+                break;
+            }
+            case 'file': {
+                const file = event.detail.file;
 
+                this.gatherPaste((tool) => tool.uploadFile(file));
+                break;
+            }
+        }
     }
 
     /**
@@ -278,17 +545,52 @@ export default class ImageListTool {
      *
      * @private
      *
-     * @param {ImageListToolData} data - data in Image Tool format
+     * @param {ImageListToolData} data - data in Image List Tool format
      */
     set data(data) {
         const items = data.items || [];
         this.items = items;
         items.forEach(item => {
-            (new Item({
-                ui: this.ui,
-                item: item
-            })).render()
+            this.renderItem(item);
         });
+
+        Tunes.tunes.concat(this.config.actions).forEach(({ name: tune }) => {
+            const value = typeof data[tune] !== 'undefined' ? data[tune] === true || data[tune] === 'true' : false;
+
+            this._data[tune] = value;
+            this.ui.applyTune(tune, value);
+        });
+
+        this._data.layout = this.config.layouts.includes(data.layout) ? data.layout : this.config.layout;
+    }
+
+    /**
+     * Render saved item, cleaning its caption and link first
+     *
+     * @param {ImageListItem} item - saved item
+     * @param {Element} [before] - item container the new one should be inserted before
+     * @returns {void}
+     */
+    renderItem(item, before) {
+        const link = normalizeLink(item.link);
+
+        // Unsafe URLs must not get into the page
+        if (link) {
+            item.link = link;
+        } else {
+            delete item.link;
+        }
+
+        if (item.caption) {
+            item.caption = this.api.sanitizer.clean(item.caption, this.config.captionTags);
+        }
+
+        (new Item({
+            ui: this.ui,
+            uploader: this.uploader,
+            item,
+            before,
+        })).render();
     }
 
     /**
@@ -326,23 +628,35 @@ export default class ImageListTool {
      *
      * @private
      *
+     * @param {Item} item - list item the file was uploaded for
      * @param {UploadResponseFormat} response - uploading server response
-     * @param {string} hash - item hash
      * @returns {void}
      */
-    onUpload(response) {
-        if (response.success && response.file) {
+    onUpload(item, response) {
+        if (response && response.success && response.file) {
+            item.item = Object.assign({
+                caption: item.caption,
+            }, item.alt ? { alt: item.alt } : {}, item.finishReplacing(), {
+                file: response.file,
+                type: isVideoFile(item.file) || isVideo({ file: response.file }) ? 'video' : 'image',
+            });
+
+            if (item.poster) {
+                item.item.poster = item.poster;
+            }
 
-            const item = {
-                caption: '',
-                file: response.file
-            };
-            this._data.items.push(item);
-            this.items = this._data.items;
-            this.ui.renderItem(item, hash);
+            if (item.placeholder) {
+                item.item.placeholder = item.placeholder;
+            }
+
+            // Server colour is applied when the image is loaded
+            if (item.color) {
+                item.item.color = item.color;
+            }
 
+            item.render();
         } else {
-            this.uploadingFailed('incorrect response: ' + JSON.stringify(response));
+            this.uploadingFailed(item, 'incorrect response: ' + JSON.stringify(response));
         }
     }
 
@@ -350,15 +664,39 @@ export default class ImageListTool {
      * Handle uploader errors
      *
      * @private
-     * @param {string} errorText - uploading error text
+     * @param {Item} item - list item the file was uploaded for
+     * @param {string|Error|object} error - uploading error text, Error or failed ajax response
      * @returns {void}
      */
-    uploadingFailed(errorText) {
+    uploadingFailed(item, error) {
+        let errorText = error;
+
+        if (error instanceof Error) {
+            errorText = error.message;
+        } else if (error && typeof error === 'object') {
+            errorText = (error.body && error.body.message) || `${this.api.i18n.t('server responded with code')} ${error.code}`;
+        }
+
         this.api.notifier.show({
-            message: this.api.i18n.t('Couldn’t upload image. Please try another: '+ errorText),
+            message: `${this.api.i18n.t('Couldn’t upload image. Please try another')}: ${errorText}`,
+            style: 'error',
+        });
+        item.showError(errorText);
+    }
+
+    /**
+     * Handle files rejected by upload rules
+     *
+     * @private
+     * @param {string} name - file name or URL
+     * @param {string} reason - rejection reason {@link REJECTIONS}
+     * @returns {void}
+     */
+    uploadingRejected(name, reason) {
+        this.api.notifier.show({
+            message: `${this.api.i18n.t(reason)}: ${name}`,
             style: 'error',
         });
-        this.ui.hidePreloader();
     }
 
     /**
@@ -387,42 +725,286 @@ export default class ImageListTool {
         this.ui.applyTune(tuneName, value);
 
         if (tuneName === 'stretched') {
-            /**
-             * Wait until the API is ready
-             */
-            Promise.resolve().then(() => {
-                const blockId = this.api.blocks.getCurrentBlockIndex();
-
-                this.api.blocks.stretchBlock(blockId, value);
-            })
-                .catch(err => {
-                    console.error(err);
-                });
+            this.stretchBlock(value);
         }
     }
 
     /**
-     * Show preloader and upload image file
+     * Set list layout
+     *
+     * @param {string} layoutName - {@link Layouts.layouts}
+     * @returns {void}
+     */
+    setLayout(layoutName) {
+        this._data.layout = layoutName;
+
+        this.ui.applyLayout(layoutName);
+    }
+
+    /**
+     * Stretch Block to the full width of container
+     *
+     * @param {boolean} value - stretched state
+     * @returns {void}
+     */
+    stretchBlock(value) {
+        /**
+         * Wait until the API is ready
+         */
+        Promise.resolve().then(() => {
+            if (this.block) {
+                this.block.stretched = value;
+
+                return;
+            }
+
+            const blockId = this.api.blocks.getCurrentBlockIndex();
+
+            this.api.blocks.stretchBlock(blockId, value);
+        })
+            .catch(err => {
+                console.error(err);
+            });
+    }
+
+    /**
+     * Show preview and upload image file as a new list item
      *
      * @param {File} file - file that is currently uploading (from paste)
      * @returns {void}
      */
     uploadFile(file) {
-        this.uploader.uploadByFile(file, {
-            onPreview: (src) => {
-                this.ui.showPreloader(src);
-            },
+        this.uploader.uploadFiles([ file ]);
+    }
+
+    /**
+     * Show preview and upload image by pasted url as a new list item
+     *
+     * @param {string} url - image source url
+     * @param {string} caption - image caption
+     * @param {string} alt - image alternative text
+     * @returns {void}
+     */
+    uploadUrl(url, caption, alt) {
+        this.uploader.uploadByUrl(url, {
+            caption,
+            alt,
         });
     }
 
     /**
-     * Show preloader and upload image by target url
+     * Handle pasted <img> or <figure> element
      *
-     * @param {string} url - url pasted
+     * @param {HTMLElement} element - pasted element
      * @returns {void}
      */
-    uploadUrl(url) {
-        this.ui.showPreloader(url);
-        this.uploader.uploadByUrl(url);
+    pasteElement(element) {
+        const image = element.tagName === 'IMG' ? element : element.querySelector('img');
+
+        if (!image || !image.src) {
+            return;
+        }
+
+        let caption = '';
+
+        if (element.tagName === 'FIGURE') {
+            const figcaption = element.querySelector('figcaption');
+
+            /**
+             * Sanitizer may unwrap <figcaption>, its text stays in the <figure> then
+             */
+            caption = figcaption ? figcaption.innerHTML : element.textContent;
+        }
+
+        caption = this.api.sanitizer.clean(caption, this.config.captionTags).trim();
+
+        this.gatherPaste((tool) => tool.uploadUrl(image.src, caption, image.alt.trim()));
+    }
+
+    /**
+     * Handle files and elements pasted to the Editor.
+     *
+     * Editor.js creates a separate Block for every pasted file or element,
+     * so items of one paste are gathered to the list before them or to the first Block, and the others are removed.
+     *
+     * @param {function(ImageListTool)} upload - uploads pasted item to the passed Tool
+     * @returns {void}
+     */
+    gatherPaste(upload) {
+        if (!pasteTarget) {
+            pasteTarget = {
+                tool: this.previousList() || this,
+                redundant: [],
+            };
+
+            /**
+             * All files of one paste are inserted in the same task
+             */
+            setTimeout(() => {
+                const { redundant } = pasteTarget;
+
+                pasteTarget = null;
+                this.removeBlocks(redundant);
+            });
+        }
+
+        if (pasteTarget.tool !== this) {
+            pasteTarget.redundant.push(this.ui.nodes.wrapper);
+        }
+
+        upload(pasteTarget.tool);
+    }
+
+    /**
+     * Get Tool of the list right before this Block.
+     * Editor.js inserts pasted files after the focused Block, so files pasted to the list are added to it
+     *
+     * @returns {ImageListTool|null}
+     */
+    previousList() {
+        const index = this.blockIndex();
+        const block = index > 0 ? this.api.blocks.getBlockByIndex(index - 1) : null;
+
+        if (!block || (this.block && block.name !== this.block.name)) {
+            return null;
+        }
+
+        const wrapper = block.holder.querySelector(`.${this.ui.CSS.wrapper}`);
+
+        return (wrapper && tools.get(wrapper)) || null;
+    }
+
+    /**
+     * Get index of this Block
+     *
+     * @returns {number} - -1 if the Block is not found
+     */
+    blockIndex() {
+        for (let index = 0; index < this.api.blocks.getBlocksCount(); index++) {
+            const block = this.api.blocks.getBlockByIndex(index);
+
+            if (block && block.holder.contains(this.ui.nodes.wrapper)) {
+                return index;
+            }
+        }
+
+        return -1;
+    }
+
+    /**
+     * Move images of the single Image Blocks right before and after this one into the list
+     *
+     * @returns {Promise}
+     */
+    async mergeImages() {
+        const index = this.blockIndex();
+        const isImage = (block) => block && block.name === this.config.imageTool;
+        let first = index;
+        let last = index;
+
+        while (first > 0 && isImage(this.api.blocks.getBlockByIndex(first - 1))) {
+            first--;
+        }
+
+        while (last < this.api.blocks.getBlocksCount() - 1 && isImage(this.api.blocks.getBlockByIndex(last + 1))) {
+            last++;
+        }
+
+        const blocks = [];
+
+        for (let i = first; i <= last; i++) {
+            blocks.push(i === index ? null : this.api.blocks.getBlockByIndex(i));
+        }
+
+        const saved = await Promise.all(blocks.map(block => block ? block.save() : null));
+        // Empty Image Blocks and the ones still uploading stay where they are
+        const images = saved.map(image => image && image.data && image.data.file && image.data.file.url ? image : null);
+        const count = images.filter(Boolean).length;
+
+        if (index === -1 || !count) {
+            this.api.notifier.show({
+                message: this.api.i18n.t('There are no images next to the list'),
+                style: 'error',
+            });
+
+            return;
+        }
+
+        if (this.config.maxItems && this.uploader.countItems() + count > this.config.maxItems) {
+            this.api.notifier.show({
+                message: this.api.i18n.t(REJECTIONS.COUNT),
+                style: 'error',
+            });
+
+            return;
+        }
+
+        const firstItem = this.ui.nodes.listContainer.firstChild;
+
+        images.forEach((image, i) => {
+            // Images before the list go before its first item
+            if (image) {
+                this.renderItem(fromImage(image.data), first + i < index ? firstItem : null);
+            }
+        });
+
+        this.removeBlocks(blocks.filter((block, i) => images[i]).map(block => block.holder));
+    }
+
+    /**
+     * Replace the list with single Image Blocks, one for every item
+     *
+     * @returns {void}
+     */
+    splitIntoImages() {
+        const index = this.blockIndex();
+
+        // Items being uploaded have data-uploading='1', failed ones have no attribute and would be lost
+        if (this.ui.nodes.listContainer.querySelector(`.${this.ui.CSS.imageContainer}:not([data-uploading='0'])`)) {
+            this.api.notifier.show({
+                message: this.api.i18n.t('Wait until all images are uploaded or remove the failed ones'),
+                style: 'error',
+            });
+
+            return;
+        }
+
+        const { items } = this.save();
+
+        if (index === -1 || !items.length) {
+            return;
+        }
+
+        try {
+            items.forEach((item, i) => {
+                this.api.blocks.insert(this.config.imageTool, toImage(item), undefined, index + i + 1, false);
+            });
+        } catch (error) {
+            // Editor.js throws if the Image tool is not connected, the list is kept then
+            this.api.notifier.show({
+                message: this.api.i18n.t('Image tool is not available'),
+                style: 'error',
+            });
+
+            return;
+        }
+
+        this.api.blocks.delete(index);
+    }
+
+    /**
+     * Remove Blocks holding passed Tool wrappers
+     *
+     * @param {Element[]} wrappers - Tool wrappers
+     * @returns {void}
+     */
+    removeBlocks(wrappers) {
+        for (let index = this.api.blocks.getBlocksCount() - 1; index >= 0 && wrappers.length; index--) {
+            const block = this.api.blocks.getBlockByIndex(index);
+
+            if (block && wrappers.some(wrapper => block.holder.contains(wrapper))) {
+                this.api.blocks.delete(index);
+            }
+        }
     }
 }
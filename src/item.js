@@ -1,6 +1,22 @@
 import buttonIcon from './svg/button-icon.svg';
+import settingsIcon from './svg/settings.svg';
+import playIcon from './svg/play.svg';
+import pauseIcon from './svg/pause.svg';
+import volumeIcon from './svg/volume.svg';
+import mutedIcon from './svg/muted.svg';
+import replaceIcon from './svg/replace.svg';
+import cropIcon from './svg/crop.svg';
+import focusIcon from './svg/focus.svg';
+import linkIcon from './svg/link.svg';
 import Ui from "./ui";
 import {make} from "./ui";
+import Tunes from './tunes';
+import { averageColor, createPlaceholder, DECODE_WIDTH } from './analyzer';
+import { decodeImage, encode } from './resizer';
+import { getRenditions, buildSrcset, pickRendition } from './renditions';
+import { isVideo, isVideoFile, captureFrame, posterName } from './video';
+import { drawTransformed, isIdentity, loadImage, transformedFile } from './cropper';
+import { normalizeLink } from './link';
 
 /**
  * Class for working with UI:
@@ -15,25 +31,1197 @@ export default class Item {
      * @param {object} ui.css - Plugin CSS
      * @param {Uploader} uploader - Editor.js API
      * @param {File} file - Uploading file
+     * @param {string} url - Uploading image URL
+     * @param {string} caption - Caption for the uploading image
+     * @param {string} alt - Alternative text for the uploading image
      * @param {object} item - Uploaded item
+     * @param {Element} before - Item container the new one should be inserted before
      */
-    constructor({ui, uploader, file, item}) {
+    constructor({ui, uploader, file, url, caption, alt, item, before}) {
         this.ui = ui;
         this.uploader = uploader;
         this.file = file;
+        this.url = url;
+        this.caption = caption || '';
+        this.alt = alt || '';
         this.item = item;
+        this.before = before || null;
         this.wasRendered = false;
+
+        /**
+         * Controller of the upload in progress, set by Uploader
+         *
+         * @type {AbortController|null}
+         */
+        this.controller = null;
+
+        /**
+         * Resolves when file is ready to be uploaded, set by Uploader
+         *
+         * @type {Promise}
+         */
+        this.prepared = Promise.resolve();
+
+        /**
+         * Thumbnail of the uploading file, saved to the item when it is uploaded
+         *
+         * @type {string|null}
+         */
+        this.placeholder = null;
+
+        /**
+         * Average colour of the uploading file, saved to the item when it is uploaded.
+         * Uploaded image often can't be read: it is served from another origin without CORS headers
+         *
+         * @type {string|null}
+         */
+        this.color = null;
+
+        /**
+         * Frame captured from the uploading video, uploaded with it as the poster
+         *
+         * @type {File|null}
+         */
+        this.posterFile = null;
+
+        /**
+         * Uploaded poster data, set by Uploader
+         *
+         * @type {object|null}
+         */
+        this.poster = null;
+
+        /**
+         * Uploaded item data kept while its file is being replaced
+         *
+         * @type {ImageListItem|null}
+         */
+        this.previous = null;
+
+        /**
+         * Width of the rendition shown in the editor
+         *
+         * @type {number}
+         */
+        this.renditionWidth = 0;
+
+        /**
+         * Watches tile width to choose the rendition shown in the editor
+         *
+         * @type {ResizeObserver|null}
+         */
+        this.resizeObserver = null;
+
         this.nodes = {
             imageContainer: make('div', [this.ui.CSS.imageContainer]),
             imagePreloader: make('div', this.ui.CSS.imagePreloader),
+            progress: make('div', this.ui.CSS.imageProgress),
+            progressBar: make('div', this.ui.CSS.imageProgressBar),
             imageElementContainer: make('div', this.ui.CSS.imageElementContainer),
-            imageElement: make('img', this.ui.CSS.imageElement),
+            imageElement: make('img', this.ui.CSS.imageElement, {
+                loading: 'lazy',
+                decoding: 'async',
+            }),
+            videoElement: make('video', [this.ui.CSS.imageElement, this.ui.CSS.imageVideo], {
+                preload: 'metadata',
+                playsInline: true,
+                controls: this.ui.readOnly,
+            }),
+            playButton: make('div', [this.ui.CSS.imageVideoButton], {
+                innerHTML: playIcon,
+                title: this.ui.api.i18n.t('Play'),
+            }),
+            muteButton: make('div', [this.ui.CSS.imageVideoButton], {
+                innerHTML: volumeIcon,
+                title: this.ui.api.i18n.t('Mute'),
+            }),
             caption: make('div', [this.ui.CSS.input, this.ui.CSS.caption], {
-                contentEditable: true,
+                contentEditable: !this.ui.readOnly,
                 innerHTML: '',
             }),
-            removeButton: make('div', [this.ui.CSS.imageRemoveButton])
+            removeButton: make('div', [this.ui.CSS.imageRemoveButton]),
+            cancelButton: make('div', [this.ui.CSS.imageRemoveButton], {
+                title: this.ui.api.i18n.t('Cancel upload'),
+            }),
+            settingsButton: make('div', [this.ui.CSS.imageSettingsButton], {
+                innerHTML: settingsIcon,
+            }),
+            settings: make('div', [this.ui.CSS.imageSettings]),
+            replaceButton: make('div', [this.ui.CSS.imageReplaceButton], {
+                innerHTML: replaceIcon,
+                title: this.ui.api.i18n.t('Replace'),
+            }),
+            editButton: make('div', [this.ui.CSS.imageEditButton], {
+                innerHTML: cropIcon,
+                title: this.ui.api.i18n.t('Crop, rotate, flip'),
+            }),
+            transformed: null,
+            focusButton: make('div', [this.ui.CSS.imageFocusButton], {
+                innerHTML: focusIcon,
+                title: this.ui.api.i18n.t('Focal point'),
+            }),
+            focusMarker: make('div', [this.ui.CSS.imageFocusMarker]),
+            focusResetButton: make('div', [this.ui.CSS.imageFocusReset], {
+                textContent: this.ui.api.i18n.t('Reset focal point'),
+            }),
+            altButton: make('div', [this.ui.CSS.imageAltButton], {
+                textContent: 'ALT',
+                title: this.ui.api.i18n.t('Alternative text'),
+            }),
+            alt: make('div', [this.ui.CSS.imageAlt]),
+            altInput: make('input', [this.ui.CSS.input, this.ui.CSS.imageAltInput], {
+                type: 'text',
+                placeholder: this.ui.api.i18n.t('Describe the image for those who can\'t see it'),
+            }),
+            linkButton: make('div', [this.ui.CSS.imageLinkButton], {
+                innerHTML: linkIcon,
+                title: this.ui.api.i18n.t('Link'),
+            }),
+            linkForm: make('div', [this.ui.CSS.imageLinkForm]),
+            linkInput: make('input', [this.ui.CSS.input, this.ui.CSS.imageLinkInput], {
+                type: 'url',
+                placeholder: 'https://',
+            }),
+            linkTargetOption: make('label', [this.ui.CSS.imageLinkOption]),
+            linkTargetInput: make('input', null, {
+                type: 'checkbox',
+            }),
+            linkRelInput: make('input', [this.ui.CSS.input, this.ui.CSS.imageLinkInput], {
+                type: 'text',
+                placeholder: this.ui.api.i18n.t('rel, e.g. nofollow'),
+            }),
+            error: make('div', [this.ui.CSS.imageError]),
+            errorMessage: make('div', [this.ui.CSS.imageErrorMessage]),
+            retryButton: make('div', [this.ui.CSS.imageErrorButton], {
+                textContent: this.ui.api.i18n.t('Retry'),
+            }),
+            discardButton: make('div', [this.ui.CSS.imageErrorButton], {
+                textContent: this.ui.api.i18n.t('Remove'),
+            }),
         };
+
+        this.nodes.progress.appendChild(this.nodes.progressBar);
+        this.nodes.alt.appendChild(this.nodes.altInput);
+        this.nodes.linkTargetOption.appendChild(this.nodes.linkTargetInput);
+        this.nodes.linkTargetOption.append(this.ui.api.i18n.t('Open in a new tab'));
+        this.nodes.linkForm.appendChild(this.nodes.linkInput);
+        this.nodes.linkForm.appendChild(this.nodes.linkTargetOption);
+        this.nodes.linkForm.appendChild(this.nodes.linkRelInput);
+        this.nodes.error.appendChild(this.nodes.errorMessage);
+        this.nodes.error.appendChild(this.nodes.retryButton);
+        this.nodes.error.appendChild(this.nodes.discardButton);
+
+        this.nodes.retryButton.addEventListener('click', () => {
+            this.uploader.upload(this);
+        });
+        this.nodes.discardButton.addEventListener('click', () => {
+            this.cancel();
+        });
+        this.nodes.cancelButton.addEventListener('click', () => {
+            this.cancel();
+        });
+        this.nodes.replaceButton.addEventListener('click', () => {
+            this.uploader.selectReplacement(this);
+        });
+        this.nodes.editButton.addEventListener('click', () => {
+            this.openEditor();
+        });
+
+        if (!this.ui.readOnly) {
+            this.initReplaceDrop();
+        }
+        this.nodes.removeButton.addEventListener('click', () => {
+            this.remove();
+        });
+
+        /**
+         * Item's own tunes: the same as Block's ones
+         */
+        this.tunes = new Tunes({
+            api: this.ui.api,
+            actions: this.ui.config.actions,
+            onChange: (tuneName) => this.tuneToggled(tuneName),
+        });
+
+        this.nodes.settingsButton.addEventListener('click', () => {
+            this.toggleSettings();
+        });
+        this.nodes.imageContainer.addEventListener('mouseleave', () => {
+            this.toggleSettings(false);
+            this.toggleFocus(false);
+        });
+
+        this.nodes.focusButton.addEventListener('click', () => {
+            this.toggleFocus();
+        });
+        this.nodes.focusResetButton.addEventListener('click', () => {
+            this.setFocalPoint(null);
+        });
+        this.nodes.imageContainer.addEventListener('click', (event) => {
+            // Buttons are the only children that get clicks
+            if (event.target === this.nodes.imageContainer && this.isFocusing()) {
+                this.focusClicked(event);
+            }
+        });
+
+        this.nodes.imageElement.addEventListener('load', () => {
+            this.imageLoaded();
+        });
+        this.nodes.videoElement.addEventListener('loadedmetadata', () => {
+            this.imageLoaded();
+        });
+        this.nodes.videoElement.addEventListener('loadeddata', () => {
+            this.imageLoaded();
+        });
+
+        this.nodes.playButton.addEventListener('click', () => {
+            this.togglePlay();
+        });
+        this.nodes.muteButton.addEventListener('click', () => {
+            this.nodes.videoElement.muted = !this.nodes.videoElement.muted;
+        });
+        this.nodes.videoElement.addEventListener('play', () => this.updateVideoButtons());
+        this.nodes.videoElement.addEventListener('pause', () => this.updateVideoButtons());
+        this.nodes.videoElement.addEventListener('volumechange', () => this.updateVideoButtons());
+
+        this.nodes.altButton.addEventListener('mousedown', (event) => {
+            // Keep focus in the field, so it is not closed by blur before the click
+            event.preventDefault();
+        });
+        this.nodes.altButton.addEventListener('click', () => {
+            this.toggleAlt();
+        });
+        this.nodes.altInput.addEventListener('input', () => {
+            this.setAlt(this.nodes.altInput.value);
+        });
+        this.nodes.altInput.addEventListener('blur', () => {
+            this.toggleAlt(false);
+        });
+        this.nodes.altInput.addEventListener('keydown', (event) => {
+            // Editor.js must not handle Enter, Backspace etc. typed into the field
+            event.stopPropagation();
+
+            if (event.key === 'Enter' || event.key === 'Escape') {
+                event.preventDefault();
+                this.toggleAlt(false);
+            }
+        });
+        this.nodes.altInput.addEventListener('paste', (event) => {
+            event.stopPropagation();
+        });
+
+        this.nodes.linkButton.addEventListener('mousedown', (event) => {
+            // Keep focus in the form, so it is not closed by focusout before the click
+            event.preventDefault();
+        });
+        this.nodes.linkButton.addEventListener('click', () => {
+            this.toggleLink();
+        });
+        this.nodes.linkTargetOption.addEventListener('mousedown', (event) => {
+            // Safari doesn't focus checkboxes, so the form would lose focus and close
+            event.preventDefault();
+        });
+        this.nodes.linkForm.addEventListener('input', () => {
+            this.linkChanged();
+        });
+        this.nodes.linkForm.addEventListener('focusout', (event) => {
+            // Moving between the form fields keeps it open
+            if (!this.nodes.linkForm.contains(event.relatedTarget)) {
+                this.toggleLink(false);
+            }
+        });
+        this.nodes.linkForm.addEventListener('keydown', (event) => {
+            // Editor.js must not handle Enter, Backspace etc. typed into the fields
+            event.stopPropagation();
+
+            if (event.key === 'Enter' || event.key === 'Escape') {
+                event.preventDefault();
+                this.toggleLink(false);
+            }
+        });
+        this.nodes.linkForm.addEventListener('paste', (event) => {
+            event.stopPropagation();
+        });
+
+        this.nodes.caption.addEventListener('paste', (event) => {
+            this.captionPasted(event);
+        });
+        this.nodes.caption.addEventListener('focus', () => {
+            // Text can't be selected for inline tools inside the draggable item
+            this.nodes.imageContainer.draggable = false;
+        });
+        this.nodes.caption.addEventListener('blur', () => {
+            this.nodes.imageContainer.draggable = true;
+        });
+    }
+
+    /**
+     * Set file to upload, show its preview and create its placeholder and colour
+     *
+     * @param {File} file - file prepared for uploading
+     * @returns {Promise} - resolves when placeholder and colour are created
+     */
+    setFile(file) {
+        this.file = file;
+
+        if (isVideoFile(file)) {
+            return this.setVideoFile(file);
+        }
+
+        if (!this.item) {
+            this.previewFile(file, (url) => {
+                this.nodes.imagePreloader.style.backgroundImage = `url(${url})`;
+            });
+        }
+
+        return decodeImage(file, DECODE_WIDTH)
+            .then((image) => {
+                this.placeholder = createPlaceholder(image);
+                this.color = averageColor(image);
+
+                if (image.close) {
+                    image.close();
+                }
+            })
+            .catch(() => {
+                this.placeholder = null;
+                this.color = null;
+            });
+    }
+
+    /**
+     * Capture poster frame of the uploading video, show it as preview and create placeholder from it
+     *
+     * @param {File} file - video file
+     * @returns {Promise} - resolves when poster file is created
+     */
+    setVideoFile(file) {
+        return captureFrame(file)
+            .then((frame) => {
+                if (!this.item) {
+                    this.nodes.imagePreloader.style.backgroundImage = `url(${frame.toDataURL('image/jpeg')})`;
+                }
+
+                this.placeholder = createPlaceholder(frame);
+                this.color = averageColor(frame);
+
+                return encode(frame, frame.width, frame.height, 'image/jpeg', 0.8);
+            })
+            .then((blob) => {
+                this.posterFile = new File([ blob ], posterName(file.name), { type: blob.type });
+            })
+            .catch(() => {
+                this.placeholder = null;
+                this.color = null;
+                this.posterFile = null;
+            });
+    }
+
+    /**
+     * Show how much of the file is uploaded
+     *
+     * @param {number} percentage - uploaded percentage, from 0 to 100
+     * @returns {void}
+     */
+    setProgress(percentage) {
+        this.nodes.progressBar.style.width = `${Math.min(Math.max(percentage, 0), 100)}%`;
+    }
+
+    /**
+     * Show that item is waiting for its turn to be uploaded
+     *
+     * @param {boolean} state - true while item is in the uploading queue
+     * @returns {void}
+     */
+    setQueued(state) {
+        this.nodes.imageContainer.classList.toggle(this.ui.CSS.imageQueued, state);
+    }
+
+    /**
+     * Cancel upload in progress and remove item from the list
+     *
+     * @returns {void}
+     */
+    remove() {
+        if (this.controller) {
+            this.controller.abort();
+            this.controller = null;
+        }
+
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+
+        // Detached video keeps playing
+        this.nodes.videoElement.pause();
+        this.nodes.imageContainer.remove();
+    }
+
+    /**
+     * Cancel upload in progress: replaced item gets its previous file back, new item is removed
+     *
+     * @returns {void}
+     */
+    cancel() {
+        if (!this.previous) {
+            this.remove();
+
+            return;
+        }
+
+        if (this.controller) {
+            this.controller.abort();
+            this.controller = null;
+        }
+
+        // Caption edits live in the DOM only
+        this.item = Object.assign({}, this.previous, {
+            caption: this.nodes.caption.innerHTML,
+        });
+        this.previous = null;
+        this.setQueued(false);
+        this.render();
+    }
+
+    /**
+     * Show preview of the new file instead of the uploaded one until it is uploaded
+     *
+     * @returns {void}
+     */
+    startReplacing() {
+        this.previous = this.item;
+        this.item = null;
+        this.poster = null;
+        this.posterFile = null;
+        this.toggleSettings(false);
+        this.toggleAlt(false);
+        this.toggleLink(false);
+    }
+
+    /**
+     * Get data replaced item keeps with the new file: caption, alt text, settings etc
+     *
+     * @returns {object} - empty object if item is not replaced
+     */
+    finishReplacing() {
+        if (!this.previous) {
+            return {};
+        }
+
+        const kept = Object.assign({}, this.previous, {
+            caption: this.nodes.caption.innerHTML,
+        });
+
+        Item.fileFields.forEach((field) => {
+            delete kept[field];
+        });
+        this.previous = null;
+
+        return kept;
+    }
+
+    /**
+     * Item data that describes its file and is dropped when the file is replaced
+     *
+     * @returns {string[]}
+     */
+    static get fileFields() {
+        return ['file', 'type', 'poster', 'placeholder', 'width', 'height', 'ratio', 'color', 'transform', 'focalPoint'];
+    }
+
+    /**
+     * Single file dropped on the uploaded image replaces it
+     *
+     * @returns {void}
+     */
+    initReplaceDrop() {
+        const container = this.nodes.imageContainer;
+
+        /**
+         * Handler stops propagation, so the list does not highlight its drop zone
+         */
+        container.addEventListener('dragover', (event) => {
+            if (!this.isReplaceDrop(event)) {
+                container.classList.remove(this.ui.CSS.imageReplaceTarget);
+
+                return;
+            }
+
+            event.preventDefault();
+            event.stopPropagation();
+            event.dataTransfer.dropEffect = 'copy';
+            this.ui.nodes.wrapper.classList.remove(this.ui.CSS.dropZoneActive);
+            container.classList.add(this.ui.CSS.imageReplaceTarget);
+        });
+
+        container.addEventListener('dragleave', (event) => {
+            if (!container.contains(event.relatedTarget)) {
+                container.classList.remove(this.ui.CSS.imageReplaceTarget);
+            }
+        });
+
+        /**
+         * Drop itself is caught by the list before Editor.js gets it
+         */
+        this.ui.replaceDrops.set(container, (event) => {
+            container.classList.remove(this.ui.CSS.imageReplaceTarget);
+
+            if (!this.isReplaceDrop(event) || event.dataTransfer.files.length !== 1) {
+                return false;
+            }
+
+            this.uploader.replaceFile(this, event.dataTransfer.files[0]);
+
+            return true;
+        });
+    }
+
+    /**
+     * Check if one file is dragged over the uploaded image
+     *
+     * @param {DragEvent} event - drag event
+     * @returns {boolean}
+     */
+    isReplaceDrop(event) {
+        if (!this.item || this.nodes.imageContainer.dataset.uploading !== '0' || !this.ui.isFileDrag(event)) {
+            return false;
+        }
+
+        const rect = this.nodes.imageElementContainer.getBoundingClientRect();
+        const isOverImage = event.clientX >= rect.left && event.clientX <= rect.right &&
+            event.clientY >= rect.top && event.clientY <= rect.bottom;
+
+        return isOverImage && event.dataTransfer.items.length === 1;
+    }
+
+    /**
+     * Show failed upload state with the reason and Retry, Remove buttons
+     *
+     * @param {string} message - error reason
+     * @returns {void}
+     */
+    showError(message) {
+        this.nodes.imageContainer.classList.add(this.ui.CSS.imageFailed);
+
+        // Replaced item is still saved with its previous file
+        if (!this.previous) {
+            delete this.nodes.imageContainer.dataset.uploading;
+        }
+
+        this.nodes.progress.remove();
+        this.nodes.errorMessage.textContent = message;
+        this.nodes.discardButton.textContent = this.ui.api.i18n.t(this.previous ? 'Cancel' : 'Remove');
+        this.nodes.imageContainer.appendChild(this.nodes.error);
+    }
+
+    /**
+     * Show or hide item's tunes popover
+     *
+     * @param {boolean} [state] - true to show, false to hide, toggle if not passed
+     * @returns {void}
+     */
+    toggleSettings(state = !this.nodes.settings.isConnected) {
+        if (!state) {
+            this.nodes.settings.remove();
+
+            return;
+        }
+
+        this.nodes.settings.innerHTML = '';
+        this.nodes.settings.appendChild(this.tunes.render(this.item));
+        this.nodes.imageElementContainer.appendChild(this.nodes.settings);
+    }
+
+    /**
+     * Hide placeholder and save image size, colour and placeholder to the item.
+     * Values returned by server take precedence
+     *
+     * @returns {void}
+     */
+    imageLoaded() {
+        if (!this.item) {
+            return;
+        }
+
+        this.togglePlaceholder(false);
+        this.applyTransform();
+
+        const file = this.item.file;
+        const video = isVideo(this.item);
+        const media = video ? this.nodes.videoElement : this.nodes.imageElement;
+        const naturalWidth = video ? media.videoWidth : media.naturalWidth;
+        const naturalHeight = video ? media.videoHeight : media.naturalHeight;
+
+        /**
+         * Rendition is loaded instead of the original image, so only its ratio is known
+         */
+        const isOriginal = video || !getRenditions(file, this.ui.config.srcset).length;
+        const width = file.width || (isOriginal ? naturalWidth : 0);
+        const height = file.height || (isOriginal ? naturalHeight : 0);
+
+        /**
+         * Video frame can be drawn only when its data is loaded, not just metadata
+         */
+        const hasFrame = !video || media.readyState >= 2;
+        const color = file.color || this.item.color || (hasFrame ? averageColor(media) : null);
+        const placeholder = this.item.placeholder || (hasFrame ? createPlaceholder(media) : null);
+
+        if (width && height) {
+            this.item.width = width;
+            this.item.height = height;
+            this.item.ratio = Math.round(width / height * 10000) / 10000;
+        } else if (naturalWidth && naturalHeight) {
+            this.item.ratio = Math.round(naturalWidth / naturalHeight * 10000) / 10000;
+        }
+
+        if (color) {
+            this.item.color = color;
+        }
+
+        if (placeholder) {
+            this.item.placeholder = placeholder;
+        }
+
+        this.nodes.imageContainer.dataset.item = JSON.stringify(this.item);
+    }
+
+    /**
+     * Open crop, rotation and flip modal. Edits are saved to the item or applied to the new uploaded file,
+     * depending on the imageEditor config
+     *
+     * @returns {void}
+     */
+    openEditor() {
+        const upload = this.ui.config.imageEditor === 'upload';
+
+        loadImage(this.item.file.url, upload)
+            .then((image) => {
+                return this.ui.cropper.open(image, upload ? null : this.item.transform)
+                    .then((transform) => {
+                        if (!transform) {
+                            return;
+                        }
+
+                        if (!upload) {
+                            this.setTransform(isIdentity(transform) ? null : transform);
+
+                            return;
+                        }
+
+                        if (!isIdentity(transform)) {
+                            return transformedFile(image, transform, this.item.file.url)
+                                .then((file) => this.uploader.replaceFile(this, file));
+                        }
+                    });
+            })
+            .catch((error) => {
+                this.ui.api.notifier.show({
+                    message: `${this.ui.api.i18n.t('Couldn’t edit image')}: ${error.message}`,
+                    style: 'error',
+                });
+            });
+    }
+
+    /**
+     * Save image edits to the item
+     *
+     * @param {ImageTransform|null} transform - edits, null to show the original image
+     * @returns {void}
+     */
+    setTransform(transform) {
+        if (transform) {
+            this.item.transform = transform;
+        } else {
+            delete this.item.transform;
+        }
+
+        // Focal point is set on the edited image, so it does not match the new one
+        delete this.item.focalPoint;
+
+        this.nodes.imageContainer.dataset.item = JSON.stringify(this.item);
+        this.applyTransform();
+        this.applyFocalPoint();
+    }
+
+    /**
+     * Check if item waits for a click that sets its focal point
+     *
+     * @returns {boolean}
+     */
+    isFocusing() {
+        return this.nodes.imageContainer.classList.contains(this.ui.CSS.imageFocusing);
+    }
+
+    /**
+     * Show or hide focal point selection: the whole image is shown and a click on it sets the point
+     *
+     * @param {boolean} [state] - true to show, false to hide, toggle if not passed
+     * @returns {void}
+     */
+    toggleFocus(state = !this.isFocusing()) {
+        this.nodes.imageContainer.classList.toggle(this.ui.CSS.imageFocusing, state);
+
+        if (!state) {
+            this.nodes.focusMarker.remove();
+            this.nodes.focusResetButton.remove();
+
+            return;
+        }
+
+        this.nodes.imageElementContainer.appendChild(this.nodes.focusMarker);
+        this.nodes.imageElementContainer.appendChild(this.nodes.focusResetButton);
+        this.updateFocusMarker();
+    }
+
+    /**
+     * Set focal point where image is clicked
+     *
+     * @param {MouseEvent} event - click event
+     * @returns {void}
+     */
+    focusClicked(event) {
+        const rect = (this.nodes.transformed || this.nodes.imageElement).getBoundingClientRect();
+        const round = (value) => Math.round(Math.min(Math.max(value, 0), 1) * 10000) / 10000;
+
+        if (!rect.width || !rect.height) {
+            return;
+        }
+
+        this.setFocalPoint({
+            x: round((event.clientX - rect.left) / rect.width),
+            y: round((event.clientY - rect.top) / rect.height),
+        });
+    }
+
+    /**
+     * Save item's focal point
+     *
+     * @param {{x: number, y: number}|null} point - point from 0 to 1 on the shown image, null to remove it
+     * @returns {void}
+     */
+    setFocalPoint(point) {
+        if (point) {
+            this.item.focalPoint = point;
+        } else {
+            delete this.item.focalPoint;
+        }
+
+        this.nodes.imageContainer.dataset.item = JSON.stringify(this.item);
+        this.applyFocalPoint();
+        this.updateFocusMarker();
+    }
+
+    /**
+     * Crop the tile around the focal point
+     *
+     * @returns {void}
+     */
+    applyFocalPoint() {
+        const point = this.item && this.item.focalPoint;
+        const container = this.nodes.imageContainer;
+
+        container.classList.toggle(this.ui.CSS.imageWithFocalPoint, !!point);
+
+        if (point) {
+            container.style.setProperty('--focal-x', `${point.x * 100}%`);
+            container.style.setProperty('--focal-y', `${point.y * 100}%`);
+        } else {
+            container.style.removeProperty('--focal-x');
+            container.style.removeProperty('--focal-y');
+        }
+    }
+
+    /**
+     * Show focal point over the image
+     *
+     * @returns {void}
+     */
+    updateFocusMarker() {
+        const point = this.item && this.item.focalPoint;
+        const media = this.nodes.transformed || this.nodes.imageElement;
+
+        this.nodes.focusMarker.hidden = !point;
+        this.nodes.focusResetButton.hidden = !point;
+
+        if (point) {
+            this.nodes.focusMarker.style.left = `${media.offsetLeft + point.x * media.offsetWidth}px`;
+            this.nodes.focusMarker.style.top = `${media.offsetTop + point.y * media.offsetHeight}px`;
+        }
+    }
+
+    /**
+     * Show edited image instead of the original one, if item has edits.
+     * Read-only mode leaves edits to the server or CDN: the canvas would replace srcset with a small copy
+     *
+     * @returns {void}
+     */
+    applyTransform() {
+        const image = this.nodes.imageElement;
+
+        if (this.nodes.transformed) {
+            this.nodes.transformed.remove();
+            this.nodes.transformed = null;
+        }
+
+        image.hidden = false;
+
+        if (this.ui.readOnly || !this.item || !this.item.transform || isVideo(this.item) || !image.complete || !image.naturalWidth) {
+            return;
+        }
+
+        // Tiles are small, so there is no need to draw full size image
+        const canvas = drawTransformed(image, this.item.transform, 800);
+
+        canvas.classList.add(this.ui.CSS.imageElement);
+        canvas.setAttribute('role', 'img');
+        canvas.setAttribute('aria-label', this.item.alt || '');
+        image.hidden = true;
+        image.after(canvas);
+        this.nodes.transformed = canvas;
+    }
+
+    /**
+     * Set image source: server renditions are passed as srcset in read-only mode,
+     * in the editor the one that fits the tile width is shown
+     *
+     * @returns {void}
+     */
+    setSource() {
+        if (isVideo(this.item)) {
+            this.setVideoSource();
+
+            return;
+        }
+
+        const image = this.nodes.imageElement;
+        const renditions = getRenditions(this.item.file, this.ui.config.srcset);
+
+        this.renditionWidth = 0;
+        image.removeAttribute('srcset');
+        image.removeAttribute('sizes');
+
+        if (!renditions.length) {
+            image.src = this.item.file.url;
+            this.togglePlaceholder(!image.complete);
+
+            return;
+        }
+
+        if (this.ui.readOnly) {
+            image.srcset = buildSrcset(renditions);
+            image.sizes = this.ui.config.srcset.sizes || '100vw';
+            image.src = this.item.file.url;
+            this.togglePlaceholder(!image.complete);
+
+            return;
+        }
+
+        /**
+         * Tile has no width until the block is added to the page
+         */
+        this.togglePlaceholder(true);
+
+        if (!this.resizeObserver) {
+            this.resizeObserver = new ResizeObserver(() => this.updateRendition());
+            this.resizeObserver.observe(this.nodes.imageContainer);
+        }
+
+        this.updateRendition();
+    }
+
+    /**
+     * Set video source and its poster
+     *
+     * @returns {void}
+     */
+    setVideoSource() {
+        const video = this.nodes.videoElement;
+
+        if (this.item.poster && this.item.poster.url) {
+            video.poster = this.item.poster.url;
+        } else {
+            video.removeAttribute('poster');
+        }
+
+        video.src = this.item.file.url;
+        this.togglePlaceholder(false);
+        this.updateVideoButtons();
+    }
+
+    /**
+     * Play or pause video
+     *
+     * @returns {void}
+     */
+    togglePlay() {
+        const video = this.nodes.videoElement;
+
+        if (!video.paused) {
+            video.pause();
+
+            return;
+        }
+
+        const playing = video.play();
+
+        // Browser may not allow playing, then nothing changes
+        if (playing && playing.catch) {
+            playing.catch(() => {});
+        }
+    }
+
+    /**
+     * Show video state on play and mute buttons
+     *
+     * @returns {void}
+     */
+    updateVideoButtons() {
+        const video = this.nodes.videoElement;
+
+        this.nodes.playButton.innerHTML = video.paused ? playIcon : pauseIcon;
+        this.nodes.playButton.title = this.ui.api.i18n.t(video.paused ? 'Play' : 'Pause');
+        this.nodes.muteButton.innerHTML = video.muted ? mutedIcon : volumeIcon;
+        this.nodes.muteButton.title = this.ui.api.i18n.t(video.muted ? 'Unmute' : 'Mute');
+    }
+
+    /**
+     * Show the rendition that fits the tile width. Narrower one is never loaded instead of the shown one
+     *
+     * @returns {void}
+     */
+    updateRendition() {
+        const renditions = getRenditions(this.item.file, this.ui.config.srcset);
+        const listContainer = this.ui.nodes.listContainer;
+
+        /**
+         * Carousel tiles are as wide as their images, so the list limits them
+         */
+        const tileWidth = this.ui.layout === 'carousel' ? listContainer.clientWidth * 0.8 : this.nodes.imageContainer.clientWidth;
+
+        if (!renditions.length || !tileWidth) {
+            return;
+        }
+
+        const rendition = pickRendition(renditions, tileWidth * (window.devicePixelRatio || 1));
+
+        if (rendition.width <= this.renditionWidth) {
+            return;
+        }
+
+        this.renditionWidth = rendition.width;
+        this.nodes.imageElement.src = rendition.url;
+        this.togglePlaceholder(!this.nodes.imageElement.complete);
+    }
+
+    /**
+     * Show item's placeholder instead of the image that is loading
+     *
+     * @param {boolean} state - true while image is loading
+     * @returns {void}
+     */
+    togglePlaceholder(state) {
+        const placeholder = state && this.item.placeholder;
+        const container = this.nodes.imageElementContainer;
+
+        this.nodes.imageContainer.classList.toggle(this.ui.CSS.imageLoading, !!placeholder);
+        container.style.backgroundImage = placeholder ? `url(${placeholder})` : '';
+        container.style.aspectRatio = placeholder && this.item.ratio ? this.item.ratio : '';
+    }
+
+    /**
+     * Show or hide alternative text field
+     *
+     * @param {boolean} [state] - true to show, false to hide, toggle if not passed
+     * @returns {void}
+     */
+    toggleAlt(state = !this.nodes.alt.isConnected) {
+        if (!state) {
+            this.nodes.alt.remove();
+
+            return;
+        }
+
+        this.toggleLink(false);
+        this.nodes.altInput.value = this.item.alt || '';
+        this.nodes.imageElementContainer.appendChild(this.nodes.alt);
+        this.nodes.altInput.focus();
+    }
+
+    /**
+     * Set item's alternative text
+     *
+     * @param {string} alt - text describing the image
+     * @returns {void}
+     */
+    setAlt(alt) {
+        this.item.alt = alt.trim();
+        this.nodes.imageContainer.dataset.item = JSON.stringify(this.item);
+        this.nodes.imageElement.alt = this.item.alt;
+        this.nodes.videoElement.setAttribute('aria-label', this.item.alt);
+
+        if (this.nodes.transformed) {
+            this.nodes.transformed.setAttribute('aria-label', this.item.alt);
+        }
+
+        this.applyAlt();
+    }
+
+    /**
+     * Mark item that has alternative text and the one that misses the required text
+     *
+     * @returns {void}
+     */
+    applyAlt() {
+        this.nodes.imageContainer.classList.toggle(this.ui.CSS.imageWithAlt, !!this.item.alt);
+        this.nodes.imageContainer.classList.toggle(this.ui.CSS.imageAltMissing, this.ui.config.requireAlt && !this.item.alt);
+    }
+
+    /**
+     * Insert pasted content into the caption keeping only allowed formatting
+     *
+     * @param {ClipboardEvent} event - paste event
+     * @returns {void}
+     */
+    captionPasted(event) {
+        const html = event.clipboardData.getData('text/html');
+        const text = event.clipboardData.getData('text/plain');
+
+        // Editor.js would create new Blocks from pasted files and URLs
+        event.preventDefault();
+        event.stopPropagation();
+
+        if (!html) {
+            // Caption is a single line
+            document.execCommand('insertText', false, text.replace(/\s*\n\s*/g, ' '));
+
+            return;
+        }
+
+        const template = document.createElement('template');
+
+        template.innerHTML = html;
+        // Sanitizer keeps text of removed tags, but styles and scripts are not text
+        template.content.querySelectorAll('script, style, title, meta').forEach(el => el.remove());
+
+        const clean = this.ui.api.sanitizer.clean(template.innerHTML, this.ui.config.captionTags);
+
+        document.execCommand('insertHTML', false, clean.replace(/\s*\n\s*/g, ' '));
+    }
+
+    /**
+     * Check if item has a file: items converted from text have only captions
+     *
+     * @returns {boolean}
+     */
+    hasFile() {
+        return !!(this.item && this.item.file && this.item.file.url);
+    }
+
+    /**
+     * Show or hide link form
+     *
+     * @param {boolean} [state] - true to show, false to hide, toggle if not passed
+     * @returns {void}
+     */
+    toggleLink(state = !this.nodes.linkForm.isConnected) {
+        if (!state) {
+            this.nodes.linkForm.remove();
+
+            return;
+        }
+
+        const link = this.item.link || {};
+
+        this.toggleAlt(false);
+        this.nodes.linkInput.value = link.url || '';
+        this.nodes.linkInput.classList.remove(this.ui.CSS.imageLinkInvalid);
+        this.nodes.linkTargetInput.checked = link.target === '_blank';
+        this.nodes.linkRelInput.value = link.rel || '';
+        this.nodes.imageElementContainer.appendChild(this.nodes.linkForm);
+        this.nodes.linkInput.focus();
+    }
+
+    /**
+     * Save link typed into the form, the previous one is kept while URL is invalid
+     *
+     * @returns {void}
+     */
+    linkChanged() {
+        const url = this.nodes.linkInput.value.trim();
+        const link = normalizeLink({
+            url,
+            target: this.nodes.linkTargetInput.checked ? '_blank' : '_self',
+            rel: this.nodes.linkRelInput.value,
+        });
+
+        this.nodes.linkInput.classList.toggle(this.ui.CSS.imageLinkInvalid, !!url && !link);
+
+        if (url && !link) {
+            return;
+        }
+
+        this.setLink(link);
+    }
+
+    /**
+     * Set page item leads to
+     *
+     * @param {ItemLink|null} link - null to remove link
+     * @returns {void}
+     */
+    setLink(link) {
+        if (link) {
+            this.item.link = link;
+        } else {
+            delete this.item.link;
+        }
+
+        this.nodes.imageContainer.dataset.item = JSON.stringify(this.item);
+        this.applyLink();
+    }
+
+    /**
+     * Mark item that has a link
+     *
+     * @returns {void}
+     */
+    applyLink() {
+        this.nodes.imageContainer.classList.toggle(this.ui.CSS.imageWithLink, !!this.item.link);
+    }
+
+    /**
+     * Callback fired when item's tune is activated
+     *
+     * @param {string} tuneName - tune that has been clicked
+     * @returns {void}
+     */
+    tuneToggled(tuneName) {
+        this.setTune(tuneName, !this.item[tuneName]);
+    }
+
+    /**
+     * Set one item's tune
+     *
+     * @param {string} tuneName - {@link Tunes.tunes}
+     * @param {boolean} value - tune state
+     * @returns {void}
+     */
+    setTune(tuneName, value) {
+        this.item[tuneName] = value;
+        this.nodes.imageContainer.dataset.item = JSON.stringify(this.item);
+        this.applyTune(tuneName, value);
+    }
+
+    /**
+     * Apply visual representation of item's tune
+     *
+     * @param {string} tuneName - one of available tunes {@link Tunes.tunes}
+     * @param {boolean} status - true for enable, false for disable
+     * @returns {void}
+     */
+    applyTune(tuneName, status) {
+        this.nodes.imageContainer.classList.toggle(`${this.ui.CSS.imageContainer}--${tuneName}`, status);
     }
 
     /**
@@ -50,16 +1238,31 @@ export default class Item {
     };
 
     render() {
+        this.nodes.imageContainer.classList.remove(this.ui.CSS.imageFailed);
 
-        if (!this.item && this.file) {
+        if (!this.item) {
             // File preload
             [...this.nodes.imageContainer.childNodes].forEach(el => el.remove());
-            this.nodes.imageContainer.dataset.uploading = 1;
+            // Replaced item has its previous image and buttons there
+            [...this.nodes.imageElementContainer.childNodes].forEach(el => el.remove());
+            // Replaced item is saved with its previous file until the new one is uploaded
+            this.nodes.imageContainer.dataset.uploading = this.previous ? 0 : 1;
             this.nodes.imageElementContainer.appendChild(this.nodes.imagePreloader);
+            this.setProgress(0);
             this.nodes.imageContainer.append(this.nodes.imageElementContainer);
-            this.previewFile(this.file, (url) => {
-                this.nodes.imagePreloader.style.backgroundImage = `url(${url})`;
-            })
+            this.nodes.imageContainer.append(this.nodes.progress);
+            this.nodes.imageContainer.append(this.nodes.cancelButton);
+            if (this.previous) {
+                this.nodes.imageContainer.append(this.nodes.caption);
+            }
+            // Video preview is its captured frame
+            if (this.file && !isVideoFile(this.file)) {
+                this.previewFile(this.file, (url) => {
+                    this.nodes.imagePreloader.style.backgroundImage = `url(${url})`;
+                });
+            } else if (this.url) {
+                this.nodes.imagePreloader.style.backgroundImage = `url(${this.url})`;
+            }
         } else {
             // File uploaded
             [...this.nodes.imageContainer.childNodes].forEach(el => el.remove());
@@ -72,28 +1275,87 @@ export default class Item {
             // Caption
             this.nodes.caption.innerHTML = this.item.caption || '';
             this.nodes.caption.dataset.placeholder = this.ui.config.captionPlaceholder;
-            // Remove button
-            this.nodes.removeButton.addEventListener('click', () => {
-                this.nodes.imageContainer.remove();
+            // Tunes
+            Tunes.tunes.concat(this.ui.config.actions).forEach(({ name: tune }) => {
+                this.applyTune(tune, !!this.item[tune]);
             });
             // Image
-            this.nodes.imageElement.src = this.item.file.url;
-            this.nodes.imageElement.addEventListener('load', () => {
-                // Some logic
-            });
+            this.nodes.imageElement.alt = this.item.alt || '';
+            this.nodes.videoElement.setAttribute('aria-label', this.item.alt || '');
+            this.applyAlt();
+            this.applyLink();
+            this.applyFocalPoint();
+            // Item converted from text keeps its caption until a file is chosen with the Replace button
+            this.nodes.imageContainer.classList.toggle(this.ui.CSS.imageWithoutFile, !this.hasFile());
             // Build final structure
-            this.nodes.imageElementContainer.appendChild(this.nodes.removeButton);
-            this.nodes.imageElementContainer.appendChild(this.nodes.imageElement);
+            if (!this.ui.readOnly) {
+                this.nodes.imageElementContainer.appendChild(this.nodes.removeButton);
+                this.nodes.imageElementContainer.appendChild(this.nodes.replaceButton);
+            }
+            if (this.hasFile()) {
+                this.renderMedia();
+            }
             this.nodes.imageContainer.appendChild(this.nodes.imageElementContainer);
-            this.nodes.imageContainer.appendChild(this.nodes.caption);
+            // Empty captions are useless for readers
+            if (!this.ui.readOnly || this.nodes.caption.innerHTML.trim()) {
+                this.nodes.imageContainer.appendChild(this.nodes.caption);
+            }
         }
 
         if (!this.wasRendered) {
-            this.ui.nodes.listContainer.appendChild(this.nodes.imageContainer);
+            const listContainer = this.ui.nodes.listContainer;
+            const before = this.before && this.before.parentNode === listContainer ? this.before : null;
+
+            listContainer.insertBefore(this.nodes.imageContainer, before);
             this.wasRendered = true;
         }
 
         this.ui.initSorting();
     }
 
+    /**
+     * Show uploaded image or video with buttons working with it
+     *
+     * @returns {void}
+     */
+    renderMedia() {
+        this.setSource();
+
+        if (!this.ui.readOnly) {
+            this.nodes.imageElementContainer.appendChild(this.nodes.settingsButton);
+            this.nodes.imageElementContainer.appendChild(this.nodes.altButton);
+
+            if (this.ui.config.imageEditor && !isVideo(this.item)) {
+                this.nodes.imageElementContainer.appendChild(this.nodes.editButton);
+            }
+
+            if (!isVideo(this.item)) {
+                this.nodes.imageElementContainer.appendChild(this.nodes.focusButton);
+                this.nodes.imageElementContainer.appendChild(this.nodes.linkButton);
+            }
+
+            // Native controls are not clickable in the sortable list
+            if (isVideo(this.item)) {
+                this.nodes.imageElementContainer.appendChild(this.nodes.playButton);
+                this.nodes.imageElementContainer.appendChild(this.nodes.muteButton);
+            }
+        }
+        // Videos are not linked: clicks on their controls would follow the link
+        if (isVideo(this.item)) {
+            this.nodes.imageElementContainer.appendChild(this.nodes.videoElement);
+        } else if (this.ui.readOnly && this.item.link) {
+            const anchor = make('a', [this.ui.CSS.imageLink], {
+                href: this.item.link.url,
+                target: this.item.link.target,
+                rel: this.item.link.rel,
+            });
+
+            anchor.appendChild(this.nodes.imageElement);
+            this.nodes.imageElementContainer.appendChild(anchor);
+        } else {
+            this.nodes.imageElementContainer.appendChild(this.nodes.imageElement);
+        }
+        this.applyTransform();
+    }
+
 }
\ No newline at end of file
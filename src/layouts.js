@@ -0,0 +1,117 @@
+import { make } from './ui';
+import gridIcon from './svg/layout-grid.svg';
+import carouselIcon from './svg/layout-carousel.svg';
+import masonryIcon from './svg/layout-masonry.svg';
+import columnIcon from './svg/layout-column.svg';
+
+/**
+ * Working with list layouts: render buttons, handle clicks
+ */
+export default class Layouts {
+  /**
+   * @param {object} params - image list Layouts manager params
+   * @param {object} params.api - Editor API
+   * @param {string[]} params.layouts - names of layouts allowed by config
+   * @param {Function} params.onChange - layout selection callback
+   */
+  constructor({ api, layouts, onChange }) {
+    this.api = api;
+    this.layouts = Layouts.layouts.filter(({ name }) => layouts.includes(name));
+    this.onChange = onChange;
+    this.buttons = [];
+  }
+
+  /**
+   * Available list layouts
+   *
+   * @returns {{name: string, icon: string, title: string}[]}
+   */
+  static get layouts() {
+    return [
+      {
+        name: 'grid',
+        icon: gridIcon,
+        title: 'Grid',
+      },
+      {
+        name: 'carousel',
+        icon: carouselIcon,
+        title: 'Carousel',
+      },
+      {
+        name: 'masonry',
+        icon: masonryIcon,
+        title: 'Masonry',
+      },
+      {
+        name: 'column',
+        icon: columnIcon,
+        title: 'Single column',
+      },
+    ];
+  }
+
+  /**
+   * Styles
+   *
+   * @returns {{wrapper: string, buttonBase: *, button: string, buttonActive: *}}
+   */
+  get CSS() {
+    return {
+      wrapper: 'image-list-tool__layouts',
+      buttonBase: this.api.styles.settingsButton,
+      button: 'image-list-tool__layout',
+      buttonActive: this.api.styles.settingsButtonActive,
+    };
+  }
+
+  /**
+   * Makes buttons with layouts: grid, carousel, masonry, single column
+   *
+   * @param {ImageListToolData} toolData - generate Elements of layouts
+   * @returns {Element}
+   */
+  render(toolData) {
+    const wrapper = make('div', this.CSS.wrapper);
+
+    this.buttons = [];
+
+    this.layouts.forEach(layout => {
+      const title = this.api.i18n.t(layout.title);
+      const el = make('div', [this.CSS.buttonBase, this.CSS.button], {
+        innerHTML: layout.icon,
+        title,
+      });
+
+      el.addEventListener('click', () => {
+        this.layoutClicked(layout.name);
+      });
+
+      el.dataset.layout = layout.name;
+      el.classList.toggle(this.CSS.buttonActive, toolData.layout === layout.name);
+
+      this.buttons.push(el);
+
+      this.api.tooltip.onHover(el, title, {
+        placement: 'top',
+      });
+
+      wrapper.appendChild(el);
+    });
+
+    return wrapper;
+  }
+
+  /**
+   * Clicks to one of the layouts
+   *
+   * @param {string} layoutName - clicked layout name
+   */
+  layoutClicked(layoutName) {
+    this.buttons.forEach(el => {
+      el.classList.toggle(this.CSS.buttonActive, el.dataset.layout === layoutName);
+    });
+
+    this.onChange(layoutName);
+  }
+}
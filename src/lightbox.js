@@ -0,0 +1,221 @@
+import { make } from './ui';
+
+/**
+ * Full-screen viewer for list images in read-only mode
+ */
+export default class Lightbox {
+  /**
+   * @param {object} params - lightbox params
+   * @param {object} params.api - Editor API
+   */
+  constructor({ api }) {
+    this.api = api;
+
+    /**
+     * Items being browsed
+     *
+     * @type {ImageListItem[]}
+     */
+    this.items = [];
+    this.index = 0;
+    this.touchStartX = null;
+
+    this.nodes = {
+      wrapper: make('div', this.CSS.wrapper),
+      image: make('img', this.CSS.image),
+      caption: make('div', this.CSS.caption),
+      counter: make('div', this.CSS.counter),
+      prevButton: make('div', [this.CSS.button, this.CSS.prevButton], {
+        title: this.api.i18n.t('Previous'),
+      }),
+      nextButton: make('div', [this.CSS.button, this.CSS.nextButton], {
+        title: this.api.i18n.t('Next'),
+      }),
+      closeButton: make('div', [this.CSS.button, this.CSS.closeButton], {
+        title: this.api.i18n.t('Close'),
+      }),
+    };
+
+    this.nodes.wrapper.appendChild(this.nodes.image);
+    this.nodes.wrapper.appendChild(this.nodes.caption);
+    this.nodes.wrapper.appendChild(this.nodes.counter);
+    this.nodes.wrapper.appendChild(this.nodes.prevButton);
+    this.nodes.wrapper.appendChild(this.nodes.nextButton);
+    this.nodes.wrapper.appendChild(this.nodes.closeButton);
+
+    this.nodes.prevButton.addEventListener('click', () => this.prev());
+    this.nodes.nextButton.addEventListener('click', () => this.next());
+    this.nodes.closeButton.addEventListener('click', () => this.close());
+
+    /**
+     * Click on the backdrop closes the viewer
+     */
+    this.nodes.wrapper.addEventListener('click', (event) => {
+      if (event.target === this.nodes.wrapper) {
+        this.close();
+      }
+    });
+
+    this.nodes.wrapper.addEventListener('touchstart', (event) => {
+      this.touchStartX = event.changedTouches[0].clientX;
+    }, { passive: true });
+
+    this.nodes.wrapper.addEventListener('touchend', (event) => {
+      this.onSwipe(event.changedTouches[0].clientX - this.touchStartX);
+    });
+
+    this.onKeyDown = this.onKeyDown.bind(this);
+  }
+
+  /**
+   * Min horizontal distance of a touch to be treated as swipe
+   *
+   * @returns {number}
+   */
+  static get swipeThreshold() {
+    return 50;
+  }
+
+  /**
+   * Styles
+   *
+   * @returns {object}
+   */
+  get CSS() {
+    return {
+      wrapper: 'image-list-lightbox',
+      image: 'image-list-lightbox__image',
+      caption: 'image-list-lightbox__caption',
+      counter: 'image-list-lightbox__counter',
+      button: 'image-list-lightbox__button',
+      prevButton: 'image-list-lightbox__button--prev',
+      nextButton: 'image-list-lightbox__button--next',
+      closeButton: 'image-list-lightbox__button--close',
+      single: 'image-list-lightbox--single',
+    };
+  }
+
+  /**
+   * Show viewer with passed items
+   *
+   * @param {ImageListItem[]} items - items to browse
+   * @param {number} index - index of the item to show first
+   * @returns {void}
+   */
+  open(items, index) {
+    this.items = items;
+    this.nodes.wrapper.classList.toggle(this.CSS.single, items.length < 2);
+
+    document.body.appendChild(this.nodes.wrapper);
+    document.addEventListener('keydown', this.onKeyDown);
+
+    this.show(index);
+  }
+
+  /**
+   * Hide viewer
+   *
+   * @returns {void}
+   */
+  close() {
+    this.nodes.wrapper.remove();
+    document.removeEventListener('keydown', this.onKeyDown);
+  }
+
+  /**
+   * Show item by index, indexes are looped
+   *
+   * @param {number} index - item index
+   * @returns {void}
+   */
+  show(index) {
+    const count = this.items.length;
+
+    this.index = (index + count) % count;
+
+    const item = this.items[this.index];
+
+    this.nodes.image.src = item.file.url;
+    this.nodes.image.alt = item.alt || '';
+    this.nodes.caption.innerHTML = item.caption || '';
+    this.nodes.counter.textContent = `${this.index + 1} / ${count}`;
+
+    this.preload(this.index - 1);
+    this.preload(this.index + 1);
+  }
+
+  /**
+   * Show next item
+   *
+   * @returns {void}
+   */
+  next() {
+    this.show(this.index + 1);
+  }
+
+  /**
+   * Show previous item
+   *
+   * @returns {void}
+   */
+  prev() {
+    this.show(this.index - 1);
+  }
+
+  /**
+   * Load neighbouring image, so it is shown without delay
+   *
+   * @param {number} index - item index
+   * @returns {void}
+   */
+  preload(index) {
+    const count = this.items.length;
+    const item = this.items[(index + count) % count];
+
+    if (count > 1 && item) {
+      make('img', null, { src: item.file.url });
+    }
+  }
+
+  /**
+   * Keyboard navigation
+   *
+   * @param {KeyboardEvent} event - keydown event
+   * @returns {void}
+   */
+  onKeyDown(event) {
+    switch (event.key) {
+      case 'ArrowLeft':
+        this.prev();
+        break;
+      case 'ArrowRight':
+        this.next();
+        break;
+      case 'Escape':
+        this.close();
+        break;
+      default:
+        return;
+    }
+
+    event.preventDefault();
+  }
+
+  /**
+   * Touch navigation
+   *
+   * @param {number} distance - horizontal distance of the touch
+   * @returns {void}
+   */
+  onSwipe(distance) {
+    if (Math.abs(distance) < Lightbox.swipeThreshold) {
+      return;
+    }
+
+    if (distance < 0) {
+      this.next();
+    } else {
+      this.prev();
+    }
+  }
+}
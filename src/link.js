@@ -0,0 +1,64 @@
+/**
+ * Links of list items
+ */
+
+/**
+ * @typedef {object} ItemLink
+ * @description Where list item leads to
+ * @property {string} url - absolute http(s) URL
+ * @property {string} target - _blank to open link in a new tab, _self otherwise
+ * @property {string} rel - space separated link types, like nofollow
+ */
+
+/**
+ * Check if URL can be used as a link: only absolute http(s) URLs are allowed,
+ * so javascript: and data: URLs can't get to the page
+ *
+ * @param {string} url - URL to check
+ * @returns {boolean}
+ */
+export function isSafeUrl(url) {
+  try {
+    const { protocol } = new URL(url);
+
+    return protocol === 'http:' || protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get valid link from the entered or saved one
+ *
+ * @param {object} link - link data
+ * @param {string} link.url - link URL
+ * @param {string} [link.target] - link target
+ * @param {string} [link.rel] - link types
+ * @returns {ItemLink|null} - null if link has no safe URL
+ */
+export function normalizeLink(link) {
+  if (!link || typeof link.url !== 'string' || !isSafeUrl(link.url.trim())) {
+    return null;
+  }
+
+  const target = link.target === '_blank' ? '_blank' : '_self';
+  const rel = (typeof link.rel === 'string' ? link.rel.toLowerCase().split(/\s+/) : [])
+    .filter(type => /^[a-z-]+$/.test(type));
+
+  /**
+   * Page opened in a new tab must not get access to the editor's one
+   */
+  if (target === '_blank') {
+    ['noopener', 'noreferrer'].forEach((type) => {
+      if (!rel.includes(type)) {
+        rel.push(type);
+      }
+    });
+  }
+
+  return {
+    url: link.url.trim(),
+    target,
+    rel: rel.join(' '),
+  };
+}
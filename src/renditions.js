@@ -0,0 +1,70 @@
+/**
+ * Image renditions of different widths returned by the server
+ */
+
+/**
+ * @typedef {object} Rendition
+ * @property {string} url - rendition URL
+ * @property {number} width - rendition width in pixels
+ */
+
+/**
+ * @typedef {object} SrcsetConfig
+ * @description Where renditions are stored in the uploaded file data
+ * @property {string} [field] - file property with renditions, as an object or an array, 'sizes' by default
+ * @property {string} [url] - rendition property with its URL, 'url' by default
+ * @property {string} [width] - rendition property with its width, 'width' by default
+ * @property {string} [sizes] - value of the sizes attribute in read-only mode
+ */
+
+/**
+ * Get renditions of the uploaded file sorted by width
+ *
+ * @param {object} file - uploaded file data
+ * @param {SrcsetConfig|null} config - where renditions are stored
+ * @returns {Rendition[]}
+ */
+export function getRenditions(file, config) {
+  if (!config || !file) {
+    return [];
+  }
+
+  const renditions = file[config.field || 'sizes'];
+
+  if (!renditions || typeof renditions !== 'object') {
+    return [];
+  }
+
+  return Object.values(renditions)
+    .filter(rendition => rendition && typeof rendition === 'object')
+    .map(rendition => ({
+      url: rendition[config.url || 'url'],
+      width: parseInt(rendition[config.width || 'width'], 10),
+    }))
+    .filter(({ url, width }) => typeof url === 'string' && width > 0)
+    .sort((a, b) => a.width - b.width);
+}
+
+/**
+ * Compose srcset attribute value
+ *
+ * @param {Rendition[]} renditions - renditions sorted by width
+ * @returns {string}
+ */
+export function buildSrcset(renditions) {
+  /**
+   * Spaces and commas separate srcset candidates
+   */
+  return renditions.map(({ url, width }) => `${url.replace(/ /g, '%20').replace(/,/g, '%2C')} ${width}w`).join(', ');
+}
+
+/**
+ * Get the smallest rendition that is not narrower than passed width, or the widest one
+ *
+ * @param {Rendition[]} renditions - renditions sorted by width
+ * @param {number} width - width in physical pixels the image is shown at
+ * @returns {Rendition}
+ */
+export function pickRendition(renditions, width) {
+  return renditions.find(rendition => rendition.width >= width) || renditions[renditions.length - 1];
+}
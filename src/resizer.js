@@ -0,0 +1,176 @@
+/**
+ * Client-side image downscaling and re-encoding before uploading
+ */
+
+/**
+ * Mime-types that are uploaded as is: animation and vector would be lost on canvas
+ *
+ * @type {string[]}
+ */
+const PASS_THROUGH_TYPES = ['image/gif', 'image/svg+xml'];
+
+/**
+ * File extensions for re-encoded images
+ *
+ * @type {object<string, string>}
+ */
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+};
+
+/**
+ * Downscale image to fit passed limits and re-encode it
+ *
+ * @param {File} file - image file
+ * @param {object} options - processing options
+ * @param {number} [options.maxWidth] - max width of the result
+ * @param {number} [options.maxHeight] - max height of the result
+ * @param {number} [options.quality] - encoding quality from 0 to 1 for lossy formats
+ * @param {string} [options.outputType] - mime-type of the result, the same as file's by default
+ * @returns {Promise.<File>} - processed file or the original one if it does not need processing
+ */
+export default function resizeImage(file, { maxWidth, maxHeight, quality, outputType }) {
+  if (!file.type.startsWith('image/') || PASS_THROUGH_TYPES.includes(file.type)) {
+    return Promise.resolve(file);
+  }
+
+  return decodeImage(file).then((image) => {
+    const scale = Math.min(1, (maxWidth || Infinity) / image.width, (maxHeight || Infinity) / image.height);
+    const type = outputType || file.type;
+
+    if (scale === 1 && type === file.type && typeof quality === 'undefined') {
+      closeImage(image);
+
+      return file;
+    }
+
+    const width = Math.round(image.width * scale);
+    const height = Math.round(image.height * scale);
+    const encoded = encode(image, width, height, type, quality);
+
+    /**
+     * Image is already drawn on canvas. Decoded camera photos take about 100 MB, they must not wait for GC
+     */
+    closeImage(image);
+
+    return encoded.then((blob) => {
+      /**
+       * Re-encoding without downscaling may produce bigger file
+       */
+      if (scale === 1 && blob.type === file.type && blob.size >= file.size) {
+        return file;
+      }
+
+      return new File([ blob ], renameFile(file.name, blob.type), {
+        type: blob.type,
+        lastModified: file.lastModified,
+      });
+    });
+  });
+}
+
+/**
+ * Release memory of the decoded image
+ *
+ * @param {ImageBitmap|HTMLImageElement} image - decoded image
+ * @returns {void}
+ */
+function closeImage(image) {
+  if (typeof image.close === 'function') {
+    image.close();
+  }
+}
+
+/**
+ * Get decoded image that can be drawn on canvas
+ *
+ * @param {File} file - image file
+ * @param {number} [width] - width to decode image with, aspect ratio is kept
+ * @returns {Promise.<ImageBitmap|HTMLImageElement>}
+ */
+export function decodeImage(file, width) {
+  if (typeof createImageBitmap === 'function') {
+    if (!width) {
+      return createImageBitmap(file);
+    }
+
+    // Browsers without resize options reject them
+    return createImageBitmap(file, {
+      resizeWidth: width,
+      resizeQuality: 'low',
+    }).catch(() => createImageBitmap(file));
+  }
+
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = document.createElement('img');
+
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Can not decode image'));
+    };
+    image.src = url;
+  });
+}
+
+/**
+ * Draw image with passed size and encode it, OffscreenCanvas is used where it is supported
+ *
+ * @param {ImageBitmap|HTMLImageElement} image - decoded image
+ * @param {number} width - result width
+ * @param {number} height - result height
+ * @param {string} type - result mime-type
+ * @param {number} [quality] - encoding quality
+ * @returns {Promise.<Blob>}
+ */
+export function encode(image, width, height, type, quality) {
+  if (typeof OffscreenCanvas === 'function') {
+    const canvas = new OffscreenCanvas(width, height);
+
+    canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+
+    return canvas.convertToBlob({
+      type,
+      quality,
+    });
+  }
+
+  const canvas = document.createElement('canvas');
+
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error('Can not encode image'));
+      }
+    }, type, quality);
+  });
+}
+
+/**
+ * Change file name extension according to the new mime-type
+ *
+ * @param {string} name - original file name
+ * @param {string} type - new mime-type
+ * @returns {string}
+ */
+function renameFile(name, type) {
+  const extension = EXTENSIONS[type];
+
+  if (!extension) {
+    return name;
+  }
+
+  return `${name.replace(/\.[^.]*$/, '')}.${extension}`;
+}
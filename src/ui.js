@@ -1,4 +1,7 @@
 import buttonIcon from './svg/button-icon.svg';
+import Lightbox from './lightbox';
+import Cropper from './cropper';
+import { isVideo } from './video';
 
 /**
  * Class for working with UI:
@@ -12,13 +15,37 @@ export default class Ui {
      * @param {object} ui.api - Editor.js API
      * @param {ImageConfig} ui.config - user config
      * @param {Function} ui.onSelectFile - callback for clicks on Select file button
+     * @param {Function} ui.onDropFiles - callback for files dropped from the device
      * @param {boolean} ui.readOnly - read-only mode flag
      */
-    constructor({api, config, onSelectFile, readOnly}) {
+    constructor({api, config, onSelectFile, onDropFiles, readOnly}) {
         this.api = api;
         this.config = config;
         this.onSelectFile = onSelectFile;
+        this.onDropFiles = onDropFiles;
         this.readOnly = readOnly;
+
+        /**
+         * Item container that is being dragged for sorting
+         *
+         * @type {Element|null}
+         */
+        this.sortingItem = null;
+
+        /**
+         * Current list layout
+         *
+         * @type {string|null}
+         */
+        this.layout = null;
+
+        /**
+         * Handlers of files dropped over item containers, set by items that can be replaced
+         *
+         * @type {WeakMap<Element, Function>}
+         */
+        this.replaceDrops = new WeakMap();
+
         this.nodes = {
             wrapper: make('div', [this.CSS.baseClass, this.CSS.wrapper]),
             listContainer: make('div', [this.CSS.listContainer]),
@@ -34,7 +61,17 @@ export default class Ui {
         this.nodes.uploaderContainer.appendChild(this.nodes.fileButton);
 
         this.nodes.wrapper.appendChild(this.nodes.listContainer);
-        this.nodes.wrapper.appendChild(this.nodes.uploaderContainer);
+
+        if (!this.readOnly) {
+            this.nodes.wrapper.appendChild(this.nodes.uploaderContainer);
+            this.initDropZone();
+
+            if (this.config.imageEditor) {
+                this.cropper = new Cropper({ api: this.api });
+            }
+        } else if (this.config.lightbox) {
+            this.initLightbox();
+        }
     }
 
     /**
@@ -53,13 +90,48 @@ export default class Ui {
              * Tool's classes
              */
             wrapper: 'image-list-tool',
+            dropZoneActive: 'image-list-tool--drop-zone',
+            withLightbox: 'image-list-tool--lightbox',
             listContainer: 'image-list-tool__list-container',
             uploaderContainer: 'image-list-tool__uploader-container',
             imageContainer: 'image-list-tool__image',
             imageRemoveButton: 'image-list-tool__image__remove-button',
+            imageSettingsButton: 'image-list-tool__image__settings-button',
+            imageSettings: 'image-list-tool__image__settings',
+            imageReplaceButton: 'image-list-tool__image__replace-button',
+            imageEditButton: 'image-list-tool__image__edit-button',
+            imageFocusButton: 'image-list-tool__image__focus-button',
+            imageFocusMarker: 'image-list-tool__image__focus-marker',
+            imageFocusReset: 'image-list-tool__image__focus-reset',
+            imageFocusing: 'image-list-tool__image--focusing',
+            imageWithFocalPoint: 'image-list-tool__image--focal',
+            imageReplaceTarget: 'image-list-tool__image--replace-target',
+            imageAltButton: 'image-list-tool__image__alt-button',
+            imageAlt: 'image-list-tool__image__alt',
+            imageAltInput: 'image-list-tool__image__alt-input',
+            imageWithAlt: 'image-list-tool__image--with-alt',
+            imageAltMissing: 'image-list-tool__image--alt-missing',
+            imageLinkButton: 'image-list-tool__image__link-button',
+            imageLinkForm: 'image-list-tool__image__link-form',
+            imageLinkInput: 'image-list-tool__image__link-input',
+            imageLinkInvalid: 'image-list-tool__image__link-input--invalid',
+            imageLinkOption: 'image-list-tool__image__link-option',
+            imageLink: 'image-list-tool__image__link',
+            imageWithLink: 'image-list-tool__image--with-link',
+            imageWithoutFile: 'image-list-tool__image--without-file',
             imagePreloader: 'image-list-tool__image-preloader',
+            imageProgress: 'image-list-tool__image-progress',
+            imageProgressBar: 'image-list-tool__image-progress-bar',
+            imageQueued: 'image-list-tool__image--queued',
+            imageFailed: 'image-list-tool__image--failed',
+            imageLoading: 'image-list-tool__image--loading',
+            imageError: 'image-list-tool__image-error',
+            imageErrorMessage: 'image-list-tool__image-error-message',
+            imageErrorButton: 'image-list-tool__image-error-button',
             imageElementContainer: 'image-list-tool__image-picture-container',
             imageElement: 'image-list-tool__image-picture',
+            imageVideo: 'image-list-tool__image-video',
+            imageVideoButton: 'image-list-tool__image__video-button',
             caption: 'image-list-tool__caption',
             sortable: 'image-list-tool__sortable',
             sortableCurrent: 'image-list-tool__sortable-current',
@@ -97,160 +169,216 @@ export default class Ui {
             this.toggleStatus(Ui.status.UPLOADING);
         }
 
+        this.applyLayout(toolData.layout);
+
         return this.nodes.wrapper;
     }
 
-    renderItem(item, hash, mode) {
-        const {url} = item.file;
-
-        let isImageContainerExist = false;
-        let imageContainer;
+    /**
+     * Creates upload-file button
+     *
+     * @returns {Element}
+     */
+    createFileButton() {
+        const button = make('div', [this.CSS.button]);
 
-        if (typeof hash !== undefined) {
-            imageContainer = this.nodes.wrapper.querySelector(`.${this.CSS.imageContainer}[data-hash='${hash}']`);
-        }
+        button.innerHTML = this.config.buttonContent || `${buttonIcon} ${this.api.i18n.t('Select an Image')}`;
 
-        if (imageContainer) {
-            isImageContainerExist = true;
-        }
+        button.addEventListener('click', () => {
+            this.onSelectFile();
+        });
 
-        if (!isImageContainerExist) {
-            imageContainer = make('div', [this.CSS.imageContainer]);
-            this.nodes.listContainer.appendChild(imageContainer);
-        }
+        return button;
+    }
 
-        if (mode === 'preload' && typeof hash !== undefined) {
-            imageContainer.dataset.hash = hash;
+    /**
+     * Changes UI status
+     *
+     * @param {string} status - see {@link Ui.status} constants
+     * @returns {void}
+     */
+    toggleStatus(status) {
+        /*
+        for (const statusType in Ui.status) {
+            if (Object.prototype.hasOwnProperty.call(Ui.status, statusType)) {
+                this.nodes.wrapper.classList.toggle(`${this.CSS.wrapper}--${Ui.status[statusType]}`, status === Ui.status[statusType]);
+            }
+        } */
+    }
 
-            const imagePreloader = make('div', this.CSS.imagePreloader);
-            imagePreloader.style.backgroundImage = `url(${url})`;
+    /**
+     * Apply visual representation of activated tune
+     *
+     * @param {string} tuneName - one of available tunes {@link Tunes.tunes}
+     * @param {boolean} status - true for enable, false for disable
+     * @returns {void}
+     */
+    applyTune(tuneName, status) {
+        this.nodes.wrapper.classList.toggle(`${this.CSS.wrapper}--${tuneName}`, status);
+    }
 
-            const imageElementContainer = make('div', [this.CSS.imageElementContainer]);
-            imageElementContainer.appendChild(imagePreloader);
+    /**
+     * Apply list layout
+     *
+     * @param {string} layout - one of available layouts {@link Layouts.layouts}
+     * @returns {void}
+     */
+    applyLayout(layout) {
+        const listContainer = this.nodes.listContainer;
 
-            imageContainer.append(imageElementContainer);
+        if (this.layout) {
+            listContainer.classList.remove(`${this.CSS.listContainer}--${this.layout}`);
+        }
 
-        } else {
-            imageContainer.innerHTML = '';
-            imageContainer.dataset.hash = '-';
-            imageContainer.dataset.item = JSON.stringify(item);
-
-            const caption = make('div', [this.CSS.input, this.CSS.caption], {
-                contentEditable: !this.readOnly,
-                innerHTML: item.caption || '',
-            });
-            caption.dataset.placeholder = this.config.captionPlaceholder;
-
-            const attributes = {
-                src: url,
-            };
+        this.layout = layout;
+        listContainer.classList.add(`${this.CSS.listContainer}--${layout}`);
+        listContainer.style.setProperty('--columns', this.config.columns);
+    }
 
-            const removeButton = make('div', [this.CSS.imageRemoveButton]);
-            removeButton.addEventListener('click', () => {
-                imageContainer.remove();
-            });
+    /**
+     * Allows to drop files from the device to the list.
+     * Dropped files are inserted at the drop position
+     *
+     * @returns {void}
+     */
+    initDropZone() {
+        const wrapper = this.nodes.wrapper;
 
-            /**
-             * Compose tag with defined attributes
-             *
-             * @type {Element}
-             */
-            const imageElement = make('img', this.CSS.imageElement, attributes);
+        wrapper.addEventListener('dragover', (event) => {
+            if (!this.isFileDrag(event)) {
+                return;
+            }
 
             /**
-             * Add load event listener
+             * Prevent Editor.js from handling the drop by itself
              */
-            imageElement.addEventListener('load', () => {
+            event.preventDefault();
+            event.stopPropagation();
+            event.dataTransfer.dropEffect = 'copy';
+            wrapper.classList.add(this.CSS.dropZoneActive);
+        });
 
-            });
+        wrapper.addEventListener('dragleave', (event) => {
+            if (!wrapper.contains(event.relatedTarget)) {
+                wrapper.classList.remove(this.CSS.dropZoneActive);
+            }
+        });
 
-            const imageElementContainer = make('div', [this.CSS.imageElementContainer]);
-            imageElementContainer.appendChild(removeButton);
-            imageElementContainer.appendChild(imageElement);
-            imageContainer.appendChild(imageElementContainer);
-            imageContainer.appendChild(caption);
-        }
+        /**
+         * Editor.js inserts files dropped to its holder as new Blocks in the capture phase,
+         * so the drop is caught on the document before it gets there
+         *
+         * @param {DragEvent} event - drop event
+         */
+        this.captureDrop = (event) => {
+            if (!wrapper.contains(event.target) || !this.isFileDrag(event)) {
+                return;
+            }
 
-        this.initSorting(this.nodes.listContainer);
-    }
+            event.preventDefault();
+            event.stopPropagation();
+            wrapper.classList.remove(this.CSS.dropZoneActive);
 
-    preloadItem(url, hash) {
-        this.renderItem({file: {url}}, hash, 'preload')
-    }
+            const container = event.target.closest(`.${this.CSS.imageContainer}`);
+            const replace = container && this.replaceDrops.get(container);
 
-    /**
-     * Creates upload-file button
-     *
-     * @returns {Element}
-     */
-    createFileButton() {
-        const button = make('div', [this.CSS.button]);
-
-        button.innerHTML = this.config.buttonContent || `${buttonIcon} ${this.api.i18n.t('Select an Image')}`;
+            if (replace && replace(event)) {
+                return;
+            }
 
-        button.addEventListener('click', () => {
-            this.onSelectFile();
-        });
+            this.onDropFiles(Array.from(event.dataTransfer.files), this.getDropPosition(event));
+        };
 
-        return button;
+        document.addEventListener('drop', this.captureDrop, true);
     }
 
     /**
-     * Shows uploading preloader
+     * Remove listeners added outside of the wrapper
      *
-     * @param {string} src - preview source
-     * @param {string} hash - item hash
      * @returns {void}
      */
-    showPreloader(src, hash) {
-        this.renderItem({
-            caption: '',
-            file: {
-                url: src
-            }
-        }, hash);
+    destroy() {
+        if (this.captureDrop) {
+            document.removeEventListener('drop', this.captureDrop, true);
+        }
     }
 
     /**
-     * Hide uploading preloader
+     * Check if files from the device are dragged, not a list item being sorted
      *
-     * @returns {void}
+     * @param {DragEvent} event - drag event
+     * @returns {boolean}
      */
-    hidePreloader() {
+    isFileDrag(event) {
+        return !this.sortingItem && !!event.dataTransfer && Array.from(event.dataTransfer.types).includes('Files');
     }
 
     /**
-     * Changes UI status
+     * Find item container dropped files should be inserted before
      *
-     * @param {string} status - see {@link Ui.status} constants
-     * @returns {void}
+     * @param {DragEvent} event - drop event
+     * @returns {Element|null} - null to append files to the end of the list
      */
-    toggleStatus(status) {
-        /*
-        for (const statusType in Ui.status) {
-            if (Object.prototype.hasOwnProperty.call(Ui.status, statusType)) {
-                this.nodes.wrapper.classList.toggle(`${this.CSS.wrapper}--${Ui.status[statusType]}`, status === Ui.status[statusType]);
-            }
-        } */
+    getDropPosition(event) {
+        const target = event.target.closest(`.${this.CSS.imageContainer}`);
+
+        if (!target || !this.nodes.listContainer.contains(target)) {
+            return null;
+        }
+
+        const rect = target.getBoundingClientRect();
+        // Items of these layouts follow each other top to bottom
+        const isBefore = ['column', 'masonry'].includes(this.layout)
+            ? event.clientY < rect.top + rect.height / 2
+            : event.clientX < rect.left + rect.width / 2;
+
+        return isBefore ? target : target.nextElementSibling;
     }
 
     /**
-     * Apply visual representation of activated tune
+     * Open clicked image in the full-screen viewer
      *
-     * @param {string} tuneName - one of available tunes {@link Tunes.tunes}
-     * @param {boolean} status - true for enable, false for disable
      * @returns {void}
      */
-    applyTune(tuneName, status) {
-        this.nodes.wrapper.classList.toggle(`${this.CSS.wrapper}--${tuneName}`, status);
+    initLightbox() {
+        this.lightbox = new Lightbox({ api: this.api });
+        this.nodes.wrapper.classList.add(this.CSS.withLightbox);
+
+        this.nodes.listContainer.addEventListener('click', (event) => {
+            const target = event.target.closest(`.${this.CSS.imageContainer}`);
+
+            // Linked images lead to their pages instead
+            if (!target || event.target.closest('a')) {
+                return;
+            }
+
+            // Videos are played in place with their own controls, items converted from text have nothing to show
+            const containers = Array.from(this.nodes.listContainer.querySelectorAll(`.${this.CSS.imageContainer}[data-uploading='0']`))
+                .filter((container) => {
+                    const item = JSON.parse(container.dataset.item);
+
+                    return item.file && item.file.url && !isVideo(item);
+                });
+            const index = containers.indexOf(target);
+
+            if (index === -1) {
+                return;
+            }
+
+            this.lightbox.open(containers.map((container) => JSON.parse(container.dataset.item)), index);
+        });
     }
 
     initSorting() {
+        // Items are static in read-only mode
+        if (this.readOnly) {
+            return;
+        }
+
         const target = this.nodes.listContainer;
         // (A) SET CSS + GET ALL LIST ITEMS
         target.classList.add(this.CSS.sortable);
-        let items = target.querySelectorAll(`.${this.CSS.imageContainer}`),
-            current = null;
+        let items = target.querySelectorAll(`.${this.CSS.imageContainer}`);
 
         // (B) MAKE ITEMS DRAGGABLE + SORTABLE
         for (let i of items) {
@@ -259,10 +387,10 @@ export default class Ui {
 
             // (B2) DRAG START - YELLOW HIGHLIGHT DROPZONES
             i.ondragstart = (ev) => {
-                current = i;
-                current.classList.add(this.CSS.sortableCurrent);
+                this.sortingItem = i;
+                i.classList.add(this.CSS.sortableCurrent);
                 for (let it of items) {
-                    if (it !== current) {
+                    if (it !== i) {
                         it.classList.add(this.CSS.sortableHint);
                     }
                 }
@@ -270,7 +398,7 @@ export default class Ui {
 
             // (B3) DRAG ENTER - RED HIGHLIGHT DROPZONE
             i.ondragenter = (ev) => {
-                if (i !== current) {
+                if (this.sortingItem && i !== this.sortingItem) {
                     i.classList.add(this.CSS.sortableActive);
                 }
             };
@@ -282,6 +410,7 @@ export default class Ui {
 
             // (B5) DRAG END - REMOVE ALL HIGHLIGHTS
             i.ondragend = () => {
+                this.sortingItem = null;
                 for (let it of items) {
                     it.classList.remove(this.CSS.sortableHint);
                     it.classList.remove(this.CSS.sortableActive);
@@ -297,6 +426,13 @@ export default class Ui {
             // (B7) ON DROP - DO SOMETHING
             i.ondrop = (evt) => {
                 // evt.preventDefault();
+                const current = this.sortingItem;
+
+                // Files dropped from the device are handled by the drop zone
+                if (!current) {
+                    return;
+                }
+
                 if (i !== current) {
                     let currentPos = 0, droppedPos = 0;
                     for (let it = 0; it < items.length; it++) {
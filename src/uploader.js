@@ -1,5 +1,7 @@
 import ajax from '@codexteam/ajax';
 import Item from "./item";
+import resizeImage from './resizer';
+import validateFile, { REJECTIONS } from './validator';
 
 /**
  * Module for file uploading. Handle 3 scenarios:
@@ -11,15 +13,55 @@ export default class Uploader {
     /**
      * @param {object} params - uploader module params
      * @param {ImageConfig} params.config - image tool config
-     * @param {Function} params.onSelect - one callback for file select
+     * @param {Function} params.onSelect - creates list Item for the selected file or pasted URL
      * @param {Function} params.onUpload - one callback for all uploading (file, url, d-n-d, pasting)
      * @param {Function} params.onError - callback for uploading errors
+     * @param {Function} params.onReject - callback for files rejected by upload rules
+     * @param {Function} params.countItems - returns number of items in the list
      */
-    constructor({config, onSelect, onUpload, onError}) {
+    constructor({config, onSelect, onUpload, onError, onReject, countItems}) {
         this.config = config;
         this.onSelect = onSelect;
         this.onUpload = onUpload;
         this.onError = onError;
+        this.onReject = onReject;
+        this.countItems = countItems;
+
+        /**
+         * Controllers of uploads in progress
+         *
+         * @type {Set<AbortController>}
+         */
+        this.pending = new Set();
+
+        /**
+         * Uploads waiting for their turn, in order of items
+         *
+         * @type {{itemInstance: Item, controller: AbortController, resolve: Function}[]}
+         */
+        this.queue = [];
+
+        /**
+         * Number of uploads being sent now
+         *
+         * @type {number}
+         */
+        this.active = 0;
+
+        /**
+         * Images are processed one by one to keep memory usage low
+         *
+         * @type {Promise}
+         */
+        this.processing = Promise.resolve();
+
+        /**
+         * Validations of files passed to different uploadFiles() calls finish in order,
+         * so items of files pasted one by one are created in the paste order
+         *
+         * @type {Promise}
+         */
+        this.validating = Promise.resolve();
     }
 
     generateFileHash(file) {
@@ -33,222 +75,426 @@ export default class Uploader {
 
     /**
      * Handle clicks on the upload file button
-     * Fires ajax.transport()
+     * Asks user for files and uploads each of them into a separate list item
+     */
+    uploadSelectedFile() {
+        ajax.selectFiles({
+            accept: this.config.types,
+            multiple: true,
+        })
+            .then((files) => this.uploadFiles(Array.from(files)))
+            .then((response) => {
+                console.log('All uploads finished', response);
+            })
+            .catch((error) => {
+                console.log('Some errors during upload', error);
+            });
+    }
+
+    /**
+     * Uploads files selected, pasted or dropped by user.
+     * Each file gets its own Item: it shows preview first and is filled with uploaded image after
      *
-     * @param {Function} onPreview - callback fired when preview is ready
+     * @param {File[]} files - files to upload
+     * @param {object} [params] - additional params for created items
+     * @param {Element} [params.before] - item container new items should be inserted before
+     * @returns {Promise.<Array>} - responses of all uploads, null for failed ones
      */
-    uploadSelectedFile({onPreview}) {
+    uploadFiles(files, params = {}) {
+        const validations = Promise.all(files.map((file) => this.validate(file)));
 
-        const defaultParams = {
-            url: this.config.endpoints.byFile,
-            data: this.config.additionalRequestData,
+        this.validating = this.validating.then(() => validations);
+
+        return this.validating.then((rejections) => {
+            const uploads = [];
+
+            files.forEach((file, index) => {
+                const rejection = rejections[index] || this.checkCount();
+
+                if (rejection) {
+                    this.onReject(file.name, rejection);
+
+                    return;
+                }
+
+                uploads.push(this.uploadItem(file, params));
+            });
+
+            return Promise.all(uploads);
+        });
+    }
+
+    /**
+     * Handle clicks on the Replace button: select a file and upload it instead of the item's one
+     *
+     * @param {Item} itemInstance - item which file is replaced
+     * @returns {void}
+     */
+    selectReplacement(itemInstance) {
+        ajax.selectFiles({
             accept: this.config.types,
-            multiple: true,
-            headers: this.config.additionalRequestHeaders,
-            fieldName: this.config.field,
-        };
+            multiple: false,
+        })
+            .then((files) => this.replaceFile(itemInstance, files[0]));
+    }
+
+    /**
+     * Upload new file for the uploaded item. Item keeps its data and position
+     *
+     * @param {Item} itemInstance - item which file is replaced
+     * @param {File} file - new file
+     * @returns {Promise.<UploadResponseFormat|null>}
+     */
+    replaceFile(itemInstance, file) {
+        return this.validate(file)
+            .then((rejection) => {
+                if (rejection) {
+                    this.onReject(file.name, rejection);
+
+                    return null;
+                }
 
+                itemInstance.startReplacing();
+                itemInstance.prepared = this.prepareFile(file).then((prepared) => itemInstance.setFile(prepared));
+
+                return this.upload(itemInstance);
+            });
+    }
+
+    /**
+     * Check file against upload rules
+     *
+     * @param {File} file - file to check
+     * @returns {Promise.<string|null>} - rejection reason or null if file can be uploaded
+     */
+    validate(file) {
         /**
-         * Custom uploading
-         * or default uploading
+         * Size of processed files is checked when they are ready: downscaled photos may fit the limit
          */
-        let upload;
+        const rules = this.isProcessing() ? Object.assign({}, this.config, { maxFileSize: undefined }) : this.config;
 
-        // custom uploading
-        if (this.config.uploader && typeof this.config.uploader.uploadByFile === 'function') {
-            upload = ajax.selectFiles({
-                accept: this.config.types,
-                multiple: true
-            }).then(async (files) => {
-
-                let uploads = [];
-
-                Array.from(files).forEach((file, index) => {
-
-                    const upload = (f) => {
-
-                        const itemInstance = this.onSelect(f);
-
-                        // Build form data
-                        let formData = new FormData();
-                        formData.append(defaultParams.fieldName, f, f.name);
-                        // Inject into request data
-                        let data = defaultParams;
-                        data.data = formData;
-                        data.beforeSend = function () {
-                            itemInstance.render();
-                        };
-
-                        // make request
-                        return new Promise((resolve, reject) => {
-                            return this.config.uploader.uploadByFile(f).then((response) => {
-                                itemInstance.item = response;
-                                itemInstance.render();
-                                return resolve(response);
-                            }).catch((error) => {
-                                this.onError(error);
-                                return resolve(null);
-                            });
-                        });
-                    };
-
-                    uploads.push(upload(file));
-                });
-
-                return await Promise.all(uploads);
+        return validateFile(file, rules).catch(() => REJECTIONS.TYPE);
+    }
 
-            });
+    /**
+     * Check if files are downscaled or re-encoded before uploading
+     *
+     * @returns {boolean}
+     */
+    isProcessing() {
+        const { maxWidth, maxHeight, quality, outputType } = this.config;
 
-            // default uploading
-        } else {
+        return !!(maxWidth || maxHeight || outputType || typeof quality !== 'undefined');
+    }
 
-            upload = ajax.selectFiles(defaultParams).then(async (files) => {
+    /**
+     * Check if one more item can be added to the list
+     *
+     * @returns {string|null} - rejection reason or null if item can be added
+     */
+    checkCount() {
+        if (this.config.maxItems && this.countItems() >= this.config.maxItems) {
+            return REJECTIONS.COUNT;
+        }
 
-                let uploads = [];
+        return null;
+    }
 
-                Array.from(files).forEach((file, index) => {
+    /**
+     * Shows preview of the file and uploads it
+     *
+     * @param {File} file - file to upload
+     * @param {object} [params] - additional params for created item
+     * @returns {Promise.<UploadResponseFormat|null>}
+     */
+    uploadItem(file, params = {}) {
+        const itemInstance = this.onSelect(params);
 
-                    const upload = (f) => {
+        itemInstance.prepared = this.prepareFile(file).then((prepared) => itemInstance.setFile(prepared));
 
-                        const itemInstance = this.onSelect(f);
+        return this.upload(itemInstance);
+    }
 
-                        // Build form data
-                        let formData = new FormData();
-                        formData.append(defaultParams.fieldName, f, f.name);
-                        // Inject into request data
-                        let data = defaultParams;
-                        data.data = formData;
-                        data.beforeSend = function () {
-                            itemInstance.render();
-                        };
+    /**
+     * Downscale and re-encode image according to the config
+     *
+     * @param {File} file - selected, pasted or dropped file
+     * @returns {Promise.<File>} - processed file, or the original one if processing is not configured or failed
+     */
+    prepareFile(file) {
+        const { maxWidth, maxHeight, quality, outputType } = this.config;
+
+        if (!this.isProcessing()) {
+            return Promise.resolve(file);
+        }
+
+        this.processing = this.processing.then(() => {
+            return resizeImage(file, {
+                maxWidth,
+                maxHeight,
+                quality,
+                outputType,
+            }).catch((error) => {
+                console.warn('Image processing failed, original file will be uploaded', error);
+
+                return file;
+            });
+        });
+
+        return this.processing;
+    }
 
-                        // make request
-                        return new Promise((resolve, reject) => {
-                            return ajax.post(data).then(response => {
-                                return response.body;
-                            }).then((response) => {
-                                itemInstance.item = response;
-                                itemInstance.render();
-                                return resolve(response);
-                            }).catch((error) => {
-                                this.onError(error);
-                                return resolve(null);
-                            });
-                        });
-                    };
+    /**
+     * Puts File or URL of the Item to the uploading queue.
+     * All uploads go through here: selected, pasted, dropped files, pasted URLs and retries
+     *
+     * @param {Item} itemInstance - item being uploaded
+     * @returns {Promise.<UploadResponseFormat|null>}
+     */
+    upload(itemInstance) {
+        const controller = new AbortController();
+
+        this.pending.add(controller);
+        itemInstance.controller = controller;
+        itemInstance.render();
+        itemInstance.setQueued(true);
+
+        return new Promise((resolve) => {
+            this.queue.push({
+                itemInstance,
+                controller,
+                resolve,
+            });
+            this.processQueue();
+        });
+    }
 
-                    uploads.push(upload(file));
-                });
+    /**
+     * Starts queued uploads while there are free slots
+     *
+     * @returns {void}
+     */
+    processQueue() {
+        while (this.active < this.config.maxConcurrentUploads && this.queue.length) {
+            const { itemInstance, controller, resolve } = this.queue.shift();
+
+            // Item was removed while waiting
+            if (controller.signal.aborted) {
+                this.pending.delete(controller);
+                resolve(null);
+                continue;
+            }
 
-                return await Promise.all(uploads);
+            this.active++;
+            this.send(itemInstance, controller).then((response) => {
+                this.active--;
+                resolve(response);
+                this.processQueue();
             });
         }
+    }
 
-        upload.then((response) => {
-            console.log('All uploads finished', response);
-        }).catch((error) => {
-            console.log('Some errors during upload', error);
-           // this.onError(error);
+    /**
+     * Uploads File or URL of the Item
+     *
+     * @param {Item} itemInstance - item being uploaded
+     * @param {AbortController} controller - cancels the upload
+     * @returns {Promise.<UploadResponseFormat|null>}
+     */
+    send(itemInstance, controller) {
+        const { signal } = controller;
+
+        itemInstance.setQueued(false);
+
+        const request = itemInstance.prepared.then(() => {
+            const { maxFileSize } = this.config;
+
+            if (itemInstance.file && maxFileSize && itemInstance.file.size > maxFileSize) {
+                this.onReject(itemInstance.file.name, REJECTIONS.SIZE);
+                // Aborts the upload, so the rejection is not reported as an error
+                itemInstance.cancel();
+
+                throw new Error(REJECTIONS.SIZE);
+            }
+
+            if (itemInstance.file) {
+                return this.sendFile(itemInstance.file, {
+                    onProgress: (percentage) => itemInstance.setProgress(percentage),
+                    signal,
+                }).then((response) => this.sendPoster(itemInstance, response, signal));
+            }
+
+            return this.sendUrl(itemInstance.url, { signal });
         });
+
+        return abortable(request, signal)
+            .then((response) => {
+                this.onUpload(itemInstance, response);
+
+                return response;
+            })
+            .catch((error) => {
+                // Cancelled uploads are not errors
+                if (!signal.aborted) {
+                    this.onError(itemInstance, error);
+                }
+
+                return null;
+            })
+            .then((response) => {
+                this.pending.delete(controller);
+
+                return response;
+            });
     }
 
     /**
-     * Handle clicks on the upload file button
-     * Fires ajax.post()
+     * Upload poster frame captured from the uploaded video.
+     * Video is shown without poster if it can't be uploaded
      *
-     * @param {string} url - image source url
+     * @param {Item} itemInstance - video item
+     * @param {UploadResponseFormat} response - video uploading response
+     * @param {AbortSignal} signal - aborted when upload is cancelled
+     * @returns {Promise.<UploadResponseFormat>} - video uploading response
+     */
+    sendPoster(itemInstance, response, signal) {
+        if (!itemInstance.posterFile || !response || !response.success) {
+            return Promise.resolve(response);
+        }
+
+        return this.sendFile(itemInstance.posterFile, {
+            onProgress: () => {},
+            signal,
+        })
+            .then((posterResponse) => {
+                if (posterResponse && posterResponse.success && posterResponse.file) {
+                    itemInstance.poster = posterResponse.file;
+                }
+            })
+            .catch((error) => {
+                console.warn('Image List Tool: poster uploading failed because of', error);
+            })
+            .then(() => response);
+    }
+
+    /**
+     * Abort all uploads in progress and waiting in the queue
+     *
+     * @returns {void}
      */
-    uploadByUrl(url) {
-        let upload;
+    cancelAll() {
+        this.pending.forEach((controller) => controller.abort());
+        this.pending.clear();
+    }
 
+    /**
+     * Sends file with custom uploader or to the byFile endpoint
+     *
+     * @param {File} file - file to upload
+     * @param {object} callbacks - upload callbacks
+     * @param {function(number)} callbacks.onProgress - fired with uploaded percentage
+     * @param {AbortSignal} callbacks.signal - signals that upload is cancelled
+     * @returns {Promise.<UploadResponseFormat>}
+     */
+    sendFile(file, { onProgress, signal }) {
         /**
          * Custom uploading
          */
-        if (this.config.uploader && typeof this.config.uploader.uploadByUrl === 'function') {
-            upload = this.config.uploader.uploadByUrl(url);
+        if (this.config.uploader && typeof this.config.uploader.uploadByFile === 'function') {
+            const upload = this.config.uploader.uploadByFile(file, {
+                onProgress,
+                signal,
+            });
 
             if (!isPromise(upload)) {
-                console.warn('Custom uploader method uploadByUrl should return a Promise');
+                console.warn('Custom uploader method uploadByFile should return a Promise');
             }
-        } else {
-            /**
-             * Default uploading
-             */
-            upload = ajax.post({
-                url: this.config.endpoints.byUrl,
-                data: Object.assign({
-                    url: url,
-                }, this.config.additionalRequestData),
-                type: ajax.contentType.JSON,
-                headers: this.config.additionalRequestHeaders,
-            }).then(response => response.body);
+
+            return Promise.resolve(upload);
         }
 
-        upload.then((response) => {
-            this.onUpload(response);
-        }).catch((error) => {
-            this.onError(error);
-        });
+        /**
+         * Default uploading
+         */
+        const formData = new FormData();
+
+        formData.append(this.config.field, file, file.name);
+
+        if (this.config.additionalRequestData && Object.keys(this.config.additionalRequestData).length) {
+            Object.entries(this.config.additionalRequestData).forEach(([name, value]) => {
+                formData.append(name, value);
+            });
+        }
+
+        return post({
+            url: this.config.endpoints.byFile,
+            data: formData,
+            headers: this.config.additionalRequestHeaders,
+            onProgress,
+            signal,
+        }).then(response => response.body);
     }
 
     /**
-     * Handle clicks on the upload file button
-     * Fires ajax.post()
+     * Shows preview of the pasted image URL and uploads it
      *
-     * @param {File} file - file pasted by drag-n-drop
-     * @param {Function} onPreview - file pasted by drag-n-drop
+     * @param {string} url - image source url
+     * @param {object} [params] - additional item params
+     * @param {string} [params.caption] - caption for the uploaded image
+     * @param {string} [params.alt] - alternative text for the uploaded image
+     * @returns {Promise.<UploadResponseFormat|null>}
      */
-    uploadByFile(file, {onPreview}) {
-        /**
-         * Load file for preview
-         *
-         * @type {FileReader}
-         */
-        const reader = new FileReader();
+    uploadByUrl(url, { caption, alt } = {}) {
+        const rejection = this.checkCount();
 
-        reader.readAsDataURL(file);
-        reader.onload = (e) => {
-            onPreview(e.target.result);
-        };
+        if (rejection) {
+            this.onReject(url, rejection);
 
-        let upload;
+            return Promise.resolve(null);
+        }
 
+        const itemInstance = this.onSelect({
+            url,
+            caption,
+            alt,
+        });
+
+        return this.upload(itemInstance);
+    }
+
+    /**
+     * Sends image URL with custom uploader or to the byUrl endpoint
+     *
+     * @param {string} url - image source url
+     * @param {object} callbacks - upload callbacks
+     * @param {AbortSignal} callbacks.signal - signals that upload is cancelled
+     * @returns {Promise.<UploadResponseFormat>}
+     */
+    sendUrl(url, { signal }) {
         /**
          * Custom uploading
          */
-        if (this.config.uploader && typeof this.config.uploader.uploadByFile === 'function') {
-            upload = this.config.uploader.uploadByFile(file);
+        if (this.config.uploader && typeof this.config.uploader.uploadByUrl === 'function') {
+            const upload = this.config.uploader.uploadByUrl(url, { signal });
 
             if (!isPromise(upload)) {
-                console.warn('Custom uploader method uploadByFile should return a Promise');
-            }
-        } else {
-            /**
-             * Default uploading
-             */
-            const formData = new FormData();
-
-            formData.append(this.config.field, file);
-
-            if (this.config.additionalRequestData && Object.keys(this.config.additionalRequestData).length) {
-                Object.entries(this.config.additionalRequestData).forEach(([name, value]) => {
-                    formData.append(name, value);
-                });
+                console.warn('Custom uploader method uploadByUrl should return a Promise');
             }
 
-            upload = ajax.post({
-                url: this.config.endpoints.byFile,
-                data: formData,
-                type: ajax.contentType.JSON,
-                headers: this.config.additionalRequestHeaders,
-            }).then(response => response.body);
+            return Promise.resolve(upload);
         }
 
-        upload.then((response) => {
-            this.onUpload(response);
-        }).catch((error) => {
-            this.onError(error);
-        });
+        /**
+         * Default uploading
+         */
+        return post({
+            url: this.config.endpoints.byUrl,
+            data: Object.assign({
+                url: url,
+            }, this.config.additionalRequestData),
+            headers: this.config.additionalRequestHeaders,
+            signal,
+        }).then(response => response.body);
     }
 }
 
@@ -261,3 +507,91 @@ export default class Uploader {
 function isPromise(object) {
     return object && typeof object.then === "function";
 }
+
+/**
+ * Reject passed promise as soon as signal is aborted
+ *
+ * @param {Promise} promise - request promise
+ * @param {AbortSignal} signal - abort signal
+ * @returns {Promise}
+ */
+function abortable(promise, signal) {
+    return new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => {
+            reject(new Error('Upload cancelled'));
+        });
+
+        promise.then(resolve, reject);
+    });
+}
+
+/**
+ * Send POST request which, unlike ajax.post(), can be aborted
+ *
+ * @param {object} params - request params
+ * @param {string} params.url - request URL
+ * @param {FormData|object} params.data - form data to send, other objects are sent as JSON
+ * @param {object} params.headers - custom headers
+ * @param {function(number)} [params.onProgress] - fired with uploaded percentage
+ * @param {AbortSignal} params.signal - aborts the request
+ * @returns {Promise.<{body: *, code: number}>} - rejects with the same object on HTTP errors
+ */
+function post({ url, data, headers, onProgress, signal }) {
+    return new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        const isFormData = data instanceof FormData;
+
+        xhr.open('POST', url);
+        xhr.setRequestHeader('X-Requested-With', 'XMLHttpRequest');
+
+        if (!isFormData) {
+            xhr.setRequestHeader('Content-Type', 'application/json; charset=utf-8');
+        }
+
+        Object.entries(headers || {}).forEach(([name, value]) => {
+            xhr.setRequestHeader(name, value);
+        });
+
+        if (onProgress) {
+            xhr.upload.addEventListener('progress', (event) => {
+                if (event.lengthComputable) {
+                    onProgress(Math.round(event.loaded / event.total * 100));
+                }
+            });
+        }
+
+        xhr.addEventListener('load', () => {
+            let body = xhr.response;
+
+            try {
+                body = JSON.parse(body);
+            } catch (e) {}
+
+            const response = {
+                body,
+                code: xhr.status,
+            };
+
+            if (xhr.status >= 200 && xhr.status < 300) {
+                resolve(response);
+            } else {
+                reject(response);
+            }
+        });
+
+        xhr.addEventListener('error', () => {
+            const response = {
+                body: null,
+                code: xhr.status,
+            };
+
+            reject(response);
+        });
+
+        signal.addEventListener('abort', () => {
+            xhr.abort();
+        });
+
+        xhr.send(isFormData ? data : JSON.stringify(data));
+    });
+}
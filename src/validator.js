@@ -0,0 +1,191 @@
+import { decodeImage } from './resizer';
+
+/**
+ * Checking files against upload rules before any Item is created for them
+ */
+
+/**
+ * Rejection reasons, used as i18n keys
+ *
+ * @type {object<string, string>}
+ */
+export const REJECTIONS = {
+  TYPE: 'File type is not supported',
+  SIZE: 'File is too big',
+  DIMENSIONS: 'Image is too small',
+  COUNT: 'Too many images',
+};
+
+/**
+ * Signatures of supported formats: bytes expected at the offset
+ *
+ * @type {{type: string, offset: number, bytes: number[]}[]}
+ */
+const SIGNATURES = [
+  {
+    type: 'image/jpeg',
+    offset: 0,
+    bytes: [0xFF, 0xD8, 0xFF],
+  },
+  {
+    type: 'image/png',
+    offset: 0,
+    bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A],
+  },
+  {
+    type: 'image/gif',
+    offset: 0,
+    bytes: [0x47, 0x49, 0x46, 0x38],
+  },
+  {
+    type: 'image/webp',
+    offset: 8,
+    bytes: [0x57, 0x45, 0x42, 0x50],
+  },
+  {
+    type: 'image/bmp',
+    offset: 0,
+    bytes: [0x42, 0x4D],
+  },
+  {
+    type: 'image/avif',
+    offset: 4,
+    bytes: [0x66, 0x74, 0x79, 0x70, 0x61, 0x76, 0x69],
+  },
+  {
+    type: 'image/heic',
+    offset: 4,
+    bytes: [0x66, 0x74, 0x79, 0x70, 0x68, 0x65],
+  },
+  {
+    type: 'image/heif',
+    offset: 4,
+    bytes: [0x66, 0x74, 0x79, 0x70, 0x6D, 0x69, 0x66, 0x31],
+  },
+  {
+    type: 'video/quicktime',
+    offset: 4,
+    bytes: [0x66, 0x74, 0x79, 0x70, 0x71, 0x74],
+  },
+  {
+    type: 'video/mp4',
+    offset: 4,
+    bytes: [0x66, 0x74, 0x79, 0x70],
+  },
+  {
+    type: 'video/webm',
+    offset: 0,
+    bytes: [0x1A, 0x45, 0xDF, 0xA3],
+  },
+];
+
+/**
+ * How many first bytes of file are enough to find out its type
+ *
+ * @type {number}
+ */
+const HEADER_SIZE = 1024;
+
+/**
+ * Check file against rules
+ *
+ * @param {File} file - file to check
+ * @param {object} rules - upload rules
+ * @param {string} rules.types - allowed mime-types, in format of the «accept» attribute
+ * @param {number} [rules.maxFileSize] - max file size in bytes
+ * @param {number} [rules.minWidth] - min image width
+ * @param {number} [rules.minHeight] - min image height
+ * @returns {Promise.<string|null>} - one of {@link REJECTIONS} or null if file is valid
+ */
+export default function validateFile(file, { types, maxFileSize, minWidth, minHeight }) {
+  return detectType(file).then((type) => {
+    if (!type || !isTypeAllowed(type, types)) {
+      return REJECTIONS.TYPE;
+    }
+
+    if (maxFileSize && file.size > maxFileSize) {
+      return REJECTIONS.SIZE;
+    }
+
+    if ((!minWidth && !minHeight) || !type.startsWith('image/') || type === 'image/svg+xml') {
+      return null;
+    }
+
+    return decodeImage(file).then((image) => {
+      const isTooSmall = image.width < (minWidth || 0) || image.height < (minHeight || 0);
+
+      if (typeof image.close === 'function') {
+        image.close();
+      }
+
+      return isTooSmall ? REJECTIONS.DIMENSIONS : null;
+    });
+  });
+}
+
+/**
+ * Check if mime-type matches the «accept» string
+ *
+ * @param {string} type - mime-type to check
+ * @param {string} accept - comma separated mime-types, may contain wildcards like image/*
+ * @returns {boolean}
+ */
+export function isTypeAllowed(type, accept) {
+  return accept.split(',').some((allowed) => {
+    allowed = allowed.trim().toLowerCase();
+
+    /**
+     * Common misspelling of image/jpeg
+     */
+    if (allowed === 'image/jpg') {
+      allowed = 'image/jpeg';
+    }
+
+    if (allowed.endsWith('/*')) {
+      return type.startsWith(allowed.slice(0, -1));
+    }
+
+    return type === allowed;
+  });
+}
+
+/**
+ * Find out real file type by its first bytes, not by extension
+ *
+ * @param {File} file - file to check
+ * @returns {Promise.<string|null>} - mime-type or null for unknown formats
+ */
+function detectType(file) {
+  return readHeader(file).then((header) => {
+    const signature = SIGNATURES.find(({ offset, bytes }) => {
+      return bytes.every((byte, index) => header[offset + index] === byte);
+    });
+
+    if (signature) {
+      return signature.type;
+    }
+
+    /**
+     * SVG is a text format, look for the root tag
+     */
+    const text = String.fromCharCode.apply(null, header);
+
+    return /<svg[\s>]/i.test(text) ? 'image/svg+xml' : null;
+  });
+}
+
+/**
+ * Read first bytes of file
+ *
+ * @param {File} file - file to read
+ * @returns {Promise.<Uint8Array>}
+ */
+function readHeader(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+
+    reader.onload = () => resolve(new Uint8Array(reader.result));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(file.slice(0, HEADER_SIZE));
+  });
+}
@@ -0,0 +1,117 @@
+/**
+ * Video items: detection and client-side poster frame capturing
+ */
+
+/**
+ * Extensions of video URLs for items saved without type
+ *
+ * @type {RegExp}
+ */
+const VIDEO_EXTENSIONS = /\.(mp4|m4v|webm|ogv|mov)([?#]|$)/i;
+
+/**
+ * Max side of the captured poster frame
+ *
+ * @type {number}
+ */
+const POSTER_SIZE = 1280;
+
+/**
+ * Time to capture the poster frame in, in ms: some videos never seek, they are uploaded without poster then
+ *
+ * @type {number}
+ */
+const CAPTURE_TIMEOUT = 10000;
+
+/**
+ * Check if list item is a video
+ *
+ * @param {ImageListItem} item - list item
+ * @returns {boolean}
+ */
+export function isVideo(item) {
+  if (!item || !item.file) {
+    return false;
+  }
+
+  if (item.type) {
+    return item.type === 'video';
+  }
+
+  return VIDEO_EXTENSIONS.test(item.file.url || '');
+}
+
+/**
+ * Check if file is a video
+ *
+ * @param {File} file - selected file
+ * @returns {boolean}
+ */
+export function isVideoFile(file) {
+  return !!file && typeof file.type === 'string' && file.type.startsWith('video/');
+}
+
+/**
+ * Draw a frame from the beginning of the video on canvas
+ *
+ * @param {File} file - video file
+ * @returns {Promise.<HTMLCanvasElement>}
+ */
+export function captureFrame(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const video = document.createElement('video');
+    const timeout = setTimeout(() => {
+      release();
+      reject(new Error('Video frame capturing timed out'));
+    }, CAPTURE_TIMEOUT);
+
+    /**
+     * Stop loading the video and free its URL
+     */
+    const release = () => {
+      clearTimeout(timeout);
+      video.onloadedmetadata = video.onseeked = video.onerror = null;
+      video.removeAttribute('src');
+      video.load();
+      URL.revokeObjectURL(url);
+    };
+
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = 'auto';
+
+    video.onloadedmetadata = () => {
+      /**
+       * The very first frame is often black
+       */
+      video.currentTime = Math.min(1, video.duration / 2) || 0.1;
+    };
+    video.onseeked = () => {
+      const scale = Math.min(1, POSTER_SIZE / Math.max(video.videoWidth, video.videoHeight));
+      const canvas = document.createElement('canvas');
+
+      canvas.width = Math.round(video.videoWidth * scale);
+      canvas.height = Math.round(video.videoHeight * scale);
+      canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+
+      release();
+      resolve(canvas);
+    };
+    video.onerror = () => {
+      release();
+      reject(new Error('Can not decode video'));
+    };
+    video.src = url;
+  });
+}
+
+/**
+ * Get name of the poster file for the video
+ *
+ * @param {string} name - video file name
+ * @returns {string}
+ */
+export function posterName(name) {
+  return `${name.replace(/\.[^.]*$/, '')}-poster.jpg`;
+}